@@ -12,6 +12,8 @@ import {
 } from '/common/common.js';
 import * as Constants from '/common/constants.js';
 import * as Commands from '/common/commands.js';
+import * as Permissions from '/common/permissions.js';
+import * as ContentCache from '/common/content-cache.js';
 import * as ContextMenu from './context-menu.js';
 import RichConfirm from '/extlib/RichConfirm.js';
 
@@ -51,7 +53,10 @@ window.addEventListener('DOMContentLoaded', async () => {
     configs.showContextCommandForSingleTab = null;
   }
 
+  ContentCache.startTracking();
+
   browser.commands.onCommand.addListener(onShortcutCommand);
+  browser.runtime.onMessage.addListener(onMessage);
   browser.runtime.onMessageExternal.addListener(onMessageExternal);
   registerToTST();
   window.addEventListener('pagehide', async () => {
@@ -104,25 +109,37 @@ function updateShortcutsForFormats() {
 
 async function onShortcutCommand(command) {
   log('onShortcutCommand: ', command);
+  // Optional permissions must be requested before any "await", while handling the shortcut.
+  const permitted = command == 'openTabsFromClipboard' ?
+    Permissions.request(Permissions.CLIPBOARD_READ) :
+    command == 'saveSelectedTabsToFile' ?
+      Permissions.request(Permissions.DOWNLOADS) :
+      null;
   const activeTab = (await browser.tabs.query({
     active:        true,
     currentWindow: true
   }))[0];
   log('activeTab: ', activeTab);
 
+  if (command == 'openTabsFromClipboard') {
+    await Commands.openTabsFromClipboard({ windowId: activeTab.windowId, permitted });
+    return;
+  }
+
   let format = null;
   let withContainer = false;
   if (/^copySelectedTabsWithFormat(\d+)$/.test(command)) {
     const index   = parseInt(RegExp.$1);
     const formats = configs.copyToClipboardFormats;
     format = formats.length >= index ? formats[index] : null;
-    withContainer = Constants.WITH_CONTAINER_MATCHER.test(format.format);
+    withContainer = Commands.isContainerRequired(format);
   }
-  else if (command == 'copySelectedTabs') {
-    withContainer = configs.copyToClipboardFormats.some(format => Constants.WITH_CONTAINER_MATCHER.test(format.format));
+  else if (command == 'copySelectedTabs' ||
+           command == 'saveSelectedTabsToFile') {
+    withContainer = configs.copyToClipboardFormats.some(Commands.isContainerRequired);
   }
 
-  const { isTree, onlyDescendants, tabs } = await Commands.getContextState({
+  const { isTree, onlyDescendants, isGroup, tabs } = await Commands.getContextState({
     baseTab: activeTab,
     withContainer,
   });
@@ -134,13 +151,19 @@ async function onShortcutCommand(command) {
 
 
   switch (command) {
-    case 'copySelectedTabs': {
-      const titleKey = onlyDescendants ? 'command_copyTreeDescendants_title' :
-        isTree ? 'command_copyTree_title' :
-          'command_copySelectedTabs_title';
-      const messageKey = onlyDescendants ? 'command_copyTreeDescendants_message' :
-        isTree ? 'command_copyTree_message' :
-          'command_copySelectedTabs_message';
+    case 'copySelectedTabs':
+    case 'saveSelectedTabsToFile': {
+      const toFile = command == 'saveSelectedTabsToFile';
+      const titleKey = toFile ? 'command_saveSelectedTabsToFile_title' :
+        onlyDescendants ? 'command_copyTreeDescendants_title' :
+          isTree ? 'command_copyTree_title' :
+            isGroup ? 'command_copyGroup_title' :
+              'command_copySelectedTabs_title';
+      const messageKey = toFile ? 'command_saveSelectedTabsToFile_message' :
+        onlyDescendants ? 'command_copyTreeDescendants_message' :
+          isTree ? 'command_copyTree_message' :
+            isGroup ? 'command_copyGroup_message' :
+              'command_copySelectedTabs_message';
       const formats = configs.copyToClipboardFormats;
       const result = await RichConfirm.showInPopup(activeTab.windowId, {
         modal:   true,
@@ -150,7 +173,10 @@ async function onShortcutCommand(command) {
         buttons: formats.map(format => format.label)
       });
       if (result.buttonIndex > -1) {
-        await Commands.copyToClipboard(tabs, formats[result.buttonIndex].format);
+        if (toFile)
+          await Commands.saveToFile(tabs, formats[result.buttonIndex], { permitted });
+        else
+          await Commands.copyToClipboard(tabs, formats[result.buttonIndex]);
         if (configs.clearSelectionAfterCommandInvoked) {
           browser.tabs.highlight({
             windowId: activeTab.windowId,
@@ -162,7 +188,7 @@ async function onShortcutCommand(command) {
 
     default:
       if (format) {
-        await Commands.copyToClipboard(tabs, format.format);
+        await Commands.copyToClipboard(tabs, format);
         if (configs.clearSelectionAfterCommandInvoked) {
           browser.tabs.highlight({
             windowId: activeTab.windowId,
@@ -174,6 +200,36 @@ async function onShortcutCommand(command) {
   }
 }
 
+function onMessage(message, _sender) {
+  if (!message ||
+      typeof message.type != 'string')
+    return;
+
+  switch (message.type) {
+    case Constants.kCOMMAND_RENDER:
+      return (async () => {
+        const format = configs.copyToClipboardFormats.find(format => format.id == message.formatId);
+        if (!format)
+          return null;
+        const [activeTab] = await browser.tabs.query({
+          active:   true,
+          windowId: message.windowId
+        });
+        const { tabs } = await Commands.getContextState({
+          baseTab:       activeTab,
+          withContainer: Commands.isContainerRequired(format),
+        });
+        if (tabs.length <= 0)
+          return null;
+        const { richText, plainText } = await Commands.renderTabs(tabs, format);
+        return { tabs, richText, plainText };
+      })();
+
+    default:
+      break;
+  }
+}
+
 function onMessageExternal(message, sender) {
   log('onMessageExternal: ', message, sender);
 
@@ -12,6 +12,7 @@ import {
 } from '/common/common.js';
 import * as Constants from '/common/constants.js';
 import * as Commands from '/common/commands.js';
+import * as Permissions from '/common/permissions.js';
 
 const mMenuItems = [
   {
@@ -31,6 +32,35 @@ const mMenuItems = [
     icons:    browser.runtime.getManifest().icons,
     contexts: ['page'],
     config:   'showContextCommandOnPage'
+  },
+  {
+    id:       'clipboardOnLink',
+    type:     'normal',
+    visible:  true,
+    title:    browser.i18n.getMessage('context_copyTabs_label'),
+    icons:    browser.runtime.getManifest().icons,
+    contexts: ['link'],
+    config:   'showContextCommandOnLink'
+  },
+  {
+    id:       'saveToFileOnTab',
+    type:     'normal',
+    visible:  true,
+    title:    browser.i18n.getMessage('context_saveTabsToFile_label'),
+    icons:    browser.runtime.getManifest().icons,
+    contexts: ['tab'],
+    config:   'showContextCommandOnTab',
+    toFile:   true
+  },
+  {
+    id:       'saveToFileOnPage',
+    type:     'normal',
+    visible:  true,
+    title:    browser.i18n.getMessage('context_saveTabsToFile_label'),
+    icons:    browser.runtime.getManifest().icons,
+    contexts: ['page'],
+    config:   'showContextCommandOnPage',
+    toFile:   true
   }
 ];
 const mFormatItems = new Map();
@@ -60,7 +90,8 @@ function createItem(item) {
   catch(_e) {
   }
   try {
-    if (!/^clipboardOn(Tab|Page)$/.test(item.id))
+    if (!/^(clipboardOn(Tab|Page|Link)|saveToFileOn(Tab|Page))$/.test(item.id) &&
+        !/:under_saveToFileOn(Tab|Page)$/.test(item.id))
       browser.runtime.sendMessage(Constants.kMTH_ID, {
         ...params,
         type:  Constants.kMTHAPI_ADD_SELECTED_TAB_COMMAND,
@@ -103,6 +134,8 @@ configs.$addObserver(key => {
     case 'copyToClipboardFormats':
     case 'showContextCommandOnTab':
     case 'showContextCommandOnPage':
+    case 'showContextCommandOnLink':
+    case 'showSaveToFileCommand':
       reserveRefreshFormatItems();
       break;
   }
@@ -121,6 +154,10 @@ async function refreshFormatItems() {
     removeItem(`${id}:clipboardOnTabTopLevel`);
     removeItem(`${id}:under_clipboardOnTab`);
     removeItem(`${id}:under_clipboardOnPage`);
+    removeItem(`${id}:clipboardOnLinkTopLevel`);
+    removeItem(`${id}:under_clipboardOnLink`);
+    removeItem(`${id}:under_saveToFileOnTab`);
+    removeItem(`${id}:under_saveToFileOnPage`);
   }
   mFormatItems.clear();
 
@@ -159,21 +196,51 @@ async function refreshFormatItems() {
         ...item,
         id:       `${id}:under_clipboardOnPage`,
         parentId: 'clipboardOnPage'
+      }),
+      createItem({
+        ...item,
+        id:       `${id}:clipboardOnLinkTopLevel`,
+        icons:    browser.runtime.getManifest().icons,
+        contexts: ['link'],
+        visible:  topLevelShown && item.visible && configs.showContextCommandOnLink
+      }),
+      createItem({
+        ...item,
+        id:       `${id}:under_clipboardOnLink`,
+        parentId: 'clipboardOnLink'
+      }),
+      createItem({
+        ...item,
+        id:       `${id}:under_saveToFileOnTab`,
+        parentId: 'saveToFileOnTab'
+      }),
+      createItem({
+        ...item,
+        id:       `${id}:under_saveToFileOnPage`,
+        parentId: 'saveToFileOnPage'
       })
     ]);
   }
   for (const item of mMenuItems) {
-    item.hiddenForTopLevelItem = topLevelShown;
+    // There is no top level item to save tabs to a file.
+    item.hiddenForTopLevelItem = topLevelShown && !item.toFile;
   }
 }
 
 async function onShown(info, tab) {
-  const { isAll, isTree, onlyDescendants, hasMultipleTabs } = await Commands.getContextState({ baseTab: tab });
+  const { isAll, isTree, onlyDescendants, isGroup, hasMultipleTabs } = await Commands.getContextState({ baseTab: tab });
   const titleKey = onlyDescendants ? 'context_copyTreeDescendants_label' :
     isTree ? 'context_copyTree_label' :
-      isAll ? 'context_copyAllTabs_label' :
-        hasMultipleTabs ? 'context_copyTabs_label' :
-          'context_copyTab_label';
+      isGroup ? 'context_copyGroup_label' :
+        isAll ? 'context_copyAllTabs_label' :
+          hasMultipleTabs ? 'context_copyTabs_label' :
+            'context_copyTab_label';
+  const toFileTitleKey = onlyDescendants ? 'context_saveTreeDescendantsToFile_label' :
+    isTree ? 'context_saveTreeToFile_label' :
+      isGroup ? 'context_saveGroupToFile_label' :
+        isAll ? 'context_saveAllTabsToFile_label' :
+          hasMultipleTabs ? 'context_saveTabsToFile_label' :
+            'context_saveTabToFile_label';
   let updated = false;
   let useTopLevelItem = false;
   for (const item of mMenuItems) {
@@ -184,10 +251,11 @@ async function onShown(info, tab) {
     item.visible = (
       !item.hiddenForTopLevelItem &&
       configs[item.config] &&
+      (!item.toFile || configs.showSaveToFileCommand) &&
       mFormatItems.size > 0 &&
       (hasMultipleTabs || (configs.fallbackForSingleTab != Constants.kCOPY_NOTHING))
     );
-    item.title = browser.i18n.getMessage(titleKey);
+    item.title = browser.i18n.getMessage(item.toFile ? toFileTitleKey : titleKey);
     if (lastVisible == item.visible &&
         lastTitle == item.title)
       continue;
@@ -215,7 +283,7 @@ async function onShown(info, tab) {
       const params = {
         title: `${prefix}: ${mFormatItems.get(id).title}`
       };
-      for (const idWithSuffix of [`${id}:clipboardOnTabTopLevel`, `${id}:clipboardOnPageTopLevel`]) {
+      for (const idWithSuffix of [`${id}:clipboardOnTabTopLevel`, `${id}:clipboardOnPageTopLevel`, `${id}:clipboardOnLinkTopLevel`]) {
         browser.menus.update(idWithSuffix, params);
         try {
           browser.runtime.sendMessage(Constants.kTST_ID, {
@@ -240,26 +308,35 @@ async function onClick(info, tab, selectedTabs = null) {
   if (info.menuItemId.indexOf('clipboard:') != 0)
     return;
 
-  const id = info.menuItemId.replace(/^clipboard:|:under_clipboardOn(Tab|Page)$/g, '');
+  const toFile = /:under_saveToFileOn(Tab|Page)$/.test(info.menuItemId);
+  // The permission must be requested before any "await", while handling the click.
+  const permitted = toFile ? Permissions.request(Permissions.DOWNLOADS) : null;
+  const id = info.menuItemId.replace(/^clipboard:|:under_(clipboardOn(Tab|Page|Link)|saveToFileOn(Tab|Page))$/g, '');
   let format;
   if (Array.isArray(configs.copyToClipboardFormats)) {
     let index = id.match(/^([0-9]+):/);
     index = parseInt(index[1]);
-    const item = configs.copyToClipboardFormats[index];
-    format = item.format;
+    format = configs.copyToClipboardFormats[index];
   }
   else {
-    format = configs.copyToClipboardFormats[id.replace(/^[0-9]+:/, '')];
+    format = { format: configs.copyToClipboardFormats[id.replace(/^[0-9]+:/, '')] };
   }
 
   const isModifiedAction = info.button == 1;
   const fallbackOption = isModifiedAction ? configs.fallbackForSingleTabModified : configs.fallbackForSingleTab;
-  const withContainer = Constants.WITH_CONTAINER_MATCHER.test(format);
+  const withContainer = Commands.isContainerRequired(format);
   const { tabs } = await Commands.getContextState({ baseTab: tab, selectedTabs, callbackOption: fallbackOption, withContainer });
   log('withContainer: ', withContainer);
   log('tabs: ', tabs);
 
-  await Commands.copyToClipboard(tabs, format);
+  const options = {
+    linkUrl:  info.linkUrl,
+    linkText: info.linkText,
+  };
+  if (toFile)
+    await Commands.saveToFile(tabs, format, { ...options, permitted });
+  else
+    await Commands.copyToClipboard(tabs, format, options);
 
   if (configs.clearSelectionAfterCommandInvoked &&
       tabs.length > 1) {
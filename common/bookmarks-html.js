@@ -0,0 +1,77 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+/*
+Serializes tree nodes (see also `buildTree()` in tree.js) to a Netscape
+bookmark file, which is importable to most browsers and bookmark managers.
+A tab with children becomes a folder which contains the tab itself and its
+children.
+Importers ignore `ICON_URI` without `ICON`, so favicons should be given as
+"data:" URIs via `iconOf`.
+*/
+
+const INDENT = '    ';
+
+export function serialize(roots, { title = 'Bookmarks', now = new Date(), lineFeed = '\n', iconOf = () => null } = {}) {
+  const addDate = Math.floor(now.getTime() / 1000);
+  const lines = [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<!-- This is an automatically generated file.',
+    '     It will be read and overwritten.',
+    '     DO NOT EDIT! -->',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    `<TITLE>${escape(title)}</TITLE>`,
+    `<H1>${escape(title)}</H1>`,
+    '<DL><p>',
+    ...serializeNodes(roots, { addDate, iconOf, depth: 1 }),
+    '</DL><p>',
+  ];
+  return lines.join(lineFeed) + lineFeed;
+}
+
+function serializeNodes(nodes, { addDate, iconOf, depth }) {
+  const indent = INDENT.repeat(depth);
+  const lines = [];
+  for (const node of nodes) {
+    if (node.children.length == 0) {
+      lines.push(`${indent}<DT>${serializeLink(node.tab, { addDate, iconOf })}`);
+      continue;
+    }
+    lines.push(
+      `${indent}<DT><H3 ADD_DATE="${addDate}" LAST_MODIFIED="${addDate}">${escape(node.tab.title || node.tab.url)}</H3>`,
+      `${indent}<DL><p>`,
+      `${indent}${INDENT}<DT>${serializeLink(node.tab, { addDate, iconOf })}`,
+      ...serializeNodes(node.children, { addDate, iconOf, depth: depth + 1 }),
+      `${indent}</DL><p>`
+    );
+  }
+  return lines;
+}
+
+function serializeLink(tab, { addDate, iconOf }) {
+  const attributes = [
+    `HREF="${escape(tab.url)}"`,
+    `ADD_DATE="${addDate}"`,
+  ];
+  if (tab.lastAccessed)
+    attributes.push(`LAST_VISIT="${Math.floor(tab.lastAccessed / 1000)}"`);
+  const favIconUrl = tab.favIconUrl || '';
+  if (/^https?:/i.test(favIconUrl))
+    attributes.push(`ICON_URI="${escape(favIconUrl)}"`);
+  const icon = /^data:/i.test(favIconUrl) ? favIconUrl : iconOf(tab);
+  if (icon)
+    attributes.push(`ICON="${escape(icon)}"`);
+  return `<A ${attributes.join(' ')}>${escape(tab.title || tab.url)}</A>`;
+}
+
+function escape(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
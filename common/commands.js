@@ -16,6 +16,20 @@ import * as Constants from './constants.js';
 import * as Permissions from './permissions.js';
 import * as Replacer from './replacer.js';
 import * as FunctionalPlaceHolder from './functional-placeholder.js';
+import * as Conditional from './conditional.js';
+import * as FieldPlaceHolder from './field-placeholder.js';
+import * as LinkExtractor from './link-extractor.js';
+import * as Tree from './tree.js';
+import * as URLFields from './url-fields.js';
+import * as URLCleaner from './url-cleaner.js';
+import * as DateFormat from './date-format.js';
+import * as BookmarksHTML from './bookmarks-html.js';
+import * as TabsJSON from './tabs-json.js';
+import * as Favicon from './favicon.js';
+import * as DiscardedTab from './discarded-tab.js';
+import * as ContentText from './get-content-text.js';
+import * as WorkerPool from './worker-pool.js';
+import * as ContentCache from './content-cache.js';
 
 export async function getMultiselectedTabs(tab) {
   if (!tab)
@@ -37,11 +51,13 @@ export async function getContextState({ baseTab, selectedTabs, callbackOption, w
     selectedTabs = await getMultiselectedTabs(baseTab);
 
   const isAll = callbackOption == Constants.kCOPY_ALL;
+  const isGroup = (
+    selectedTabs.length == 1 &&
+    callbackOption == Constants.kCOPY_GROUP &&
+    getGroupIdOf(baseTab) != Constants.kTAB_GROUP_ID_NONE
+  );
   const shouldCollectTree = callbackOption == Constants.kCOPY_TREE || callbackOption == Constants.kCOPY_TREE_DESCENDANTS;
-  const treeItem = selectedTabs.length == 1 && shouldCollectTree && await browser.runtime.sendMessage(Constants.kTST_ID, {
-    type: Constants.kTSTAPI_GET_TREE,
-    tab:  baseTab.id
-  }).catch(_error => null);
+  const treeItem = selectedTabs.length == 1 && shouldCollectTree && await getTreeItem(baseTab);
   const isTree = (
     treeItem &&
     treeItem.children.length > 0
@@ -50,11 +66,17 @@ export async function getContextState({ baseTab, selectedTabs, callbackOption, w
     isTree &&
     callbackOption == Constants.kCOPY_TREE_DESCENDANTS
   );
-  log('isTree: ', { isTree, onlyDescendants });
+  log('isTree: ', { isTree, onlyDescendants, isGroup });
+
+  const groupTabs = isGroup ?
+    (await browser.tabs.query({ windowId: baseTab.windowId }).catch(_error => []))
+      .filter(tab => tab.groupId == baseTab.groupId) :
+    null;
 
   const hasMultipleTabs = (
     (isTree &&
      [...(onlyDescendants ? [] : [treeItem]), ...treeItem.children]) ||
+    groupTabs ||
     selectedTabs
   ).length > 1;
 
@@ -63,75 +85,474 @@ export async function getContextState({ baseTab, selectedTabs, callbackOption, w
       windowId: baseTab.windowId,
       hidden:   false,
     }).catch(_error => [])) :
-    (isTree && await collectTabsFromTree(treeItem, { onlyDescendants })) || selectedTabs;
+    groupTabs || (isTree && await collectTabsFromTree(treeItem, { onlyDescendants })) || selectedTabs;
   if (withContainer) {
-    await Promise.all(tabs.map(async tab => {
+    // Containers are looked up only once for each cookie store.
+    const containerNames = new Map();
+    await Promise.all([...new Set(tabs.map(tab => tab.cookieStoreId))].map(async cookieStoreId => {
       try {
-        const container = await browser.contextualIdentities.get(tab.cookieStoreId);
-        tab.container = container && container.name;
+        const container = await browser.contextualIdentities.get(cookieStoreId);
+        containerNames.set(cookieStoreId, container && container.name);
       }
       catch(_error) {
-        tab.container = null;
+        containerNames.set(cookieStoreId, null);
       }
     }));
+    for (const tab of tabs) {
+      tab.container = containerNames.get(tab.cookieStoreId);
+    }
   }
-  return { isAll, isTree, onlyDescendants, hasMultipleTabs, tabs };
+  return { isAll, isTree, onlyDescendants, isGroup, hasMultipleTabs, tabs };
+}
+
+// Tabs have no groupId on Firefox versions without native tab groups.
+function getGroupIdOf(tab) {
+  return tab && tab.groupId !== undefined ? tab.groupId : Constants.kTAB_GROUP_ID_NONE;
+}
+
+// Returns a map from group id to native tab group, for tabs in groups.
+async function getGroupsOf(tabs) {
+  const groups = new Map();
+  if (!browser.tabGroups)
+    return groups;
+  const groupIds = new Set(tabs.map(getGroupIdOf));
+  groupIds.delete(Constants.kTAB_GROUP_ID_NONE);
+  await Promise.all([...groupIds].map(async groupId => {
+    const group = await browser.tabGroups.get(groupId).catch(_error => null);
+    if (group)
+      groups.set(groupId, group);
+  }));
+  return groups;
+}
+
+export function isContainerRequired(definition) {
+  return (
+    definition.type == Constants.kFORMAT_TYPE_JSON ||
+    Constants.WITH_CONTAINER_MATCHER.test(definition.format || '')
+  );
 }
 
 const kFORMAT_PARAMETER_MATCHER  = /\([^\)]+\)|\[[^\]]+\]|\{[^\}]+\}|<[^>]+>/g;
 const kFORMAT_MATCHER_TST_INDENT = new RegExp(`%TST_INDENT(?:${kFORMAT_PARAMETER_MATCHER.source})*%`, 'gi');
+const kFORMAT_MATCHER_TST_FIELDS = /%TST_(?:INDENT|NUMBER|LEVEL|PARENT_TITLE|CHILD_COUNT)(?![a-z0-9])/i;
+const kFORMAT_MATCHER_SELECTION  = /%SEL(?![a-z0-9])/i;
 
-export async function copyToClipboard(tabs, format) {
-  let indentLevels = [];
-  if (kFORMAT_MATCHER_TST_INDENT.test(format)) {
-    try {
-      const tabsWithChildren = await browser.runtime.sendMessage(Constants.kTST_ID, {
-        type: 'get-tree',
-        tabs: tabs.map(tab => tab.id)
-      }).catch(handleMissingReceiverError);
-      const ancestorsOf = {};
-      const collectAncestors = (tab) => {
-        ancestorsOf[tab.id] = ancestorsOf[tab.id] || [];
-        for (const child of tab.children) {
-          collectAncestors(child);
-          ancestorsOf[child.id] = [tab.id].concat(ancestorsOf[tab.id]);
-        }
-      };
-      for (const tab of tabsWithChildren) {
-        collectAncestors(tab);
-      }
-      // ignore indent information for partial selection
-      const ids = tabs.map(tab => tab.id);
-      indentLevels = tabsWithChildren.map(tab => {
-        return ancestorsOf[tab.id].filter(ancestorId => ids.indexOf(ancestorId) > -1).length
-      });
-    }
-    catch(_e) {
+export async function copyToClipboard(tabs, definition, options = {}) {
+  const rendered = await renderTabsWithProgress(tabs, definition, options);
+  if (!rendered)
+    return;
+  const { richText, plainText } = rendered;
+  return writeToClipboard({ tabs, richText, plainText });
+}
+
+// `options.permitted` should be a promise returned by Permissions.request(),
+// because the permission must be requested while handling user actions.
+export async function saveToFile(tabs, definition, options = {}) {
+  if (!(await (options.permitted || Permissions.isGranted(Permissions.DOWNLOADS)).catch(_error => false))) {
+    notifyDownloadsNotPermitted();
+    return;
+  }
+  const rendered = await renderTabsWithProgress(tabs, definition, options);
+  if (!rendered)
+    return;
+  const { richText, plainText } = rendered;
+  const { extension, mimeType } = getFileTypeOf(definition);
+  const data = (mimeType == 'text/html' && richText) || plainText;
+  // Placeholders are filled with safe texts, while "/" in the template itself is kept to save the file into a subfolder.
+  const sanitize = text => String(text).replace(/[\\\/:*?"<>|\x00-\x1f]/g, '_');
+  const filename = fillAggregatePlaceHolders(configs.saveToFileNameTemplate, {
+    ...(await getAggregateParams(tabs, [configs.saveToFileNameTemplate])),
+    extension
+  }, { sanitize }).replace(/^[\/.\s]+|[\s.]+$/g, '');
+  log('saveToFile: ', { filename, mimeType, data });
+
+  const url = URL.createObjectURL(new Blob([data], { type: `${mimeType};charset=utf-8` }));
+  try {
+    const id = await browser.downloads.download({
+      url,
+      filename,
+      saveAs:         configs.saveToFileWithDialog,
+      conflictAction: 'uniquify'
+    });
+    const onChanged = delta => {
+      if (delta.id != id ||
+          !delta.state ||
+          delta.state.current == 'in_progress')
+        return;
+      browser.downloads.onChanged.removeListener(onChanged);
+      URL.revokeObjectURL(url);
+    };
+    browser.downloads.onChanged.addListener(onChanged);
+    notifySaved(tabs.length, filename);
+  }
+  catch(error) {
+    URL.revokeObjectURL(url);
+    // the "save as" dialog is just canceled by the user.
+    if (/cancel/i.test(String(error && error.message))) {
+      log('canceled to save: ', error);
+      return;
     }
+    notifyFailedToSave(error);
+  }
+}
+
+export function getFileTypeOf(definition) {
+  if (definition.type == Constants.kFORMAT_TYPE_JSON)
+    return {
+      extension: (definition.extension || '').replace(/^\./, '') || 'json',
+      mimeType:  definition.mimeType || 'application/json'
+    };
+  const isRichText = (
+    definition.type == Constants.kFORMAT_TYPE_BOOKMARKS_HTML ||
+    /%RT%/i.test(definition.format || '')
+  );
+  return {
+    extension: (definition.extension || '').replace(/^\./, '') || (isRichText ? 'html' : 'txt'),
+    mimeType:  definition.mimeType || (isRichText ? 'text/html' : 'text/plain')
+  };
+}
+
+export function getLineFeedOf(definition = {}) {
+  switch (definition.lineEnding) {
+    case Constants.kLINE_ENDING_LF:
+      return '\n';
+    case Constants.kLINE_ENDING_CRLF:
+      return '\r\n';
+    default:
+      return configs.useCRLF ? '\r\n' : '\n';
+  }
+}
+
+async function getAggregateParams(tabs, templates, { lineFeed, groups } = {}) {
+  const now = new Date();
+  const windowTitle = templates.some(template => /%WINDOW_TITLE%/i.test(template || '')) ?
+    (await browser.windows.get(tabs[0].windowId).catch(_error => null) || {}).title :
+    '';
+  // Group placeholders are available only when all tabs are in the same group.
+  const groupIds = new Set(tabs.map(getGroupIdOf));
+  const group = groupIds.size == 1 ?
+    (groups || await getGroupsOf(tabs)).get(getGroupIdOf(tabs[0])) || null :
+    null;
+  return {
+    count:     tabs.length,
+    windowTitle,
+    group,
+    now,
+    timeUTC:   now.toUTCString(),
+    timeLocal: now.toLocaleString(),
+    lineFeed:  lineFeed || getLineFeedOf()
+  };
+}
+
+// Fills placeholders for the whole output, used for headers, footers and file names.
+function fillAggregatePlaceHolders(template, { count, windowTitle, group, now, timeUTC, timeLocal, lineFeed, extension }, { sanitize = text => text } = {}) {
+  const fill = input => {
+    const chosen = Conditional.processAll(input, fill);
+    const replaced = Replacer.processAll(chosen, fill);
+    const filled = FunctionalPlaceHolder.processAll(replaced, {
+      time: (pattern, timeZone) => sanitize(DateFormat.format(now, pattern, { timeZone })),
+    });
+    return FieldPlaceHolder.processAll(filled, {
+      COUNT:        sanitize(count),
+      WINDOW_TITLE: sanitize(windowTitle || ''),
+      GROUP_TITLE:  sanitize(group && group.title || ''),
+      GROUP_COLOR:  sanitize(group && group.color || ''),
+      UTC_TIME:     sanitize(timeUTC),
+      LOCAL_TIME:   sanitize(timeLocal),
+      EXT:          sanitize(extension || ''),
+      EXTENSION:    sanitize(extension || ''),
+      TAB:          sanitize('\t'),
+      EOL:          sanitize(lineFeed),
+    }).replace(/%RT%/gi, '');
+  };
+  try {
+    return fill(template);
+  }
+  catch(error) {
+    if (isPlaceHolderError(error))
+      return error.message;
+    throw error;
+  }
+}
+
+// Errors caused by wrong formats are reported as results, instead of exceptions.
+function isPlaceHolderError(error) {
+  return (
+    error instanceof Replacer.ReplacerError ||
+    error instanceof Conditional.ConditionalError ||
+    error instanceof DateFormat.DateFormatError ||
+    error instanceof FieldPlaceHolder.FieldPlaceHolderError ||
+    error instanceof FunctionalPlaceHolder.FunctionalPlaceHolderError
+  );
+}
+
+// Tree structure is provided by Tree Style Tab if available, otherwise
+// it is inferred from openerTabId of tabs.
+async function getTreeItem(tab) {
+  const treeItem = await browser.runtime.sendMessage(Constants.kTST_ID, {
+    type: Constants.kTSTAPI_GET_TREE,
+    tab:  tab.id
+  }).catch(_error => null);
+  if (treeItem || !configs.inferTreeFromOpener)
+    return treeItem;
+  return Tree.findTreeItem(await getTreeItemsFromOpeners(tab.windowId), tab.id);
+}
+
+async function getAncestorsOf(tabs) {
+  try {
+    const treeItems = await browser.runtime.sendMessage(Constants.kTST_ID, {
+      type: Constants.kTSTAPI_GET_TREE,
+      tabs: tabs.map(tab => tab.id)
+    }).catch(handleMissingReceiverError);
+    if (treeItems || !configs.inferTreeFromOpener || tabs.length == 0)
+      return Tree.collectAncestors(treeItems || []);
+    return Tree.collectAncestors(await getTreeItemsFromOpeners(tabs[0].windowId));
+  }
+  catch(_e) {
+    return {};
+  }
+}
+
+async function getTreeItemsFromOpeners(windowId) {
+  const tabs = await browser.tabs.query({ windowId }).catch(_error => []);
+  return Tree.buildTreeItemsFromOpeners(tabs);
+}
+
+// parsed rules are cached until the user modifies them.
+let mCleanUrlRules = { source: null, rules: [] };
+
+export function cleanUrl(url) {
+  if (mCleanUrlRules.source !== configs.cleanUrlRules)
+    mCleanUrlRules = {
+      source: configs.cleanUrlRules,
+      rules:  URLCleaner.parseRules(configs.cleanUrlRules)
+    };
+  return URLCleaner.cleanUrl(url, mCleanUrlRules.rules);
+}
+
+const kPROGRESS_NOTIFICATION_ID = 'rendering-progress';
+
+// Shows a progress notification for large number of tabs, and the user can
+// cancel rendering by clicking it. This returns null when cancelled.
+async function renderTabsWithProgress(tabs, definition, options = {}) {
+  if (tabs.length < configs.progressNotificationThreshold)
+    return renderTabs(tabs, definition, options);
+
+  const controller = new AbortController();
+  const onClicked = id => {
+    if (id == kPROGRESS_NOTIFICATION_ID)
+      controller.abort();
+  };
+  browser.notifications.onClicked.addListener(onClicked);
+  // Notifications are recreated with the same id, because Firefox doesn't
+  // support notifications.update().
+  let lastNotified = 0;
+  let lastNotification = Promise.resolve();
+  const onProgress = (done, total) => {
+    const now = Date.now();
+    if (now - lastNotified < 1000)
+      return;
+    lastNotified = now;
+    lastNotification = browser.notifications.create(kPROGRESS_NOTIFICATION_ID, {
+      type:    'basic',
+      iconUrl: '/resources/Copy.svg',
+      title:   browser.i18n.getMessage('notification_progress_title', [done, total]),
+      message: browser.i18n.getMessage('notification_progress_message'),
+    }).catch(_error => {});
+  };
+  onProgress(0, tabs.length);
+
+  try {
+    return await renderTabs(tabs, definition, {
+      ...options,
+      signal: controller.signal,
+      onProgress,
+    });
+  }
+  catch(error) {
+    if (!(error instanceof WorkerPool.CancelledError))
+      throw error;
+    log('rendering is cancelled');
+    return null;
+  }
+  finally {
+    browser.notifications.onClicked.removeListener(onClicked);
+    await lastNotification;
+    browser.notifications.clear(kPROGRESS_NOTIFICATION_ID);
+  }
+}
+
+function getWorkerPoolOptions({ signal, onProgress } = {}) {
+  return {
+    concurrency: configs.renderingConcurrency,
+    signal,
+    onProgress,
+  };
+}
+
+export async function renderTabs(tabs, definition, options = {}) {
+  if (definition.preferCanonicalUrl) {
+    // Contents are loaded only once and reused to fill placeholders.
+    // The progress is reported as the first half of the whole rendering.
+    const { onProgress } = options;
+    const withSelection = kFORMAT_MATCHER_SELECTION.test(definition.format || '');
+    const contents = await WorkerPool.map(tabs, tab => getContentParams(tab, { withSelection }), getWorkerPoolOptions({
+      ...options,
+      onProgress: onProgress && ((done, total) => onProgress(done, total * 2)),
+    }));
+    tabs = tabs.map((tab, index) => contents[index].canonicalUrl ? { ...tab, url: contents[index].canonicalUrl } : tab);
+    options = {
+      ...options,
+      contents,
+      onProgress: onProgress && ((done, total) => onProgress(total + done, total * 2)),
+    };
   }
+  if (definition.cleanUrls)
+    tabs = tabs.map(tab => ({ ...tab, url: cleanUrl(tab.url) }));
 
-  const lineFeed = configs.useCRLF ? '\r\n' : '\n' ;
-  const itemsToCopy = await Promise.all(tabs.map((tab, index) => fillPlaceHolders(format, tab, indentLevels[index])));
+  switch (definition.type) {
+    case Constants.kFORMAT_TYPE_BOOKMARKS_HTML:
+      return renderTabsAsBookmarksHTML(tabs, definition, options);
 
-  const richText = /%RT%/i.test(format) ? itemsToCopy.map(item => item.richText).join('<br />') : null ;
-  let plainText = itemsToCopy.map(item => item.plainText).join(lineFeed);
-  if (tabs.length > 1)
-    plainText += lineFeed;
+    case Constants.kFORMAT_TYPE_JSON:
+      return renderTabsAsJSON(tabs, definition, options);
+
+    default:
+      return renderTabsWithTemplate(tabs, definition, options);
+  }
+}
+
+async function renderTabsAsBookmarksHTML(tabs, definition, options = {}) {
+  const [ancestorsOf, icons] = await Promise.all([
+    getAncestorsOf(tabs),
+    WorkerPool.map(tabs, tab => tab.favIconUrl && Favicon.toDataURI(tab.favIconUrl).catch(error => {
+      console.log(`failed to convert favicon `, tab.id, tab.favIconUrl, error);
+      return null;
+    }), getWorkerPoolOptions(options)),
+  ]);
+  const iconOf = new Map(tabs.map((tab, index) => [tab.id, icons[index]]));
+  const plainText = BookmarksHTML.serialize(Tree.buildTree(tabs, ancestorsOf), {
+    title:    browser.i18n.getMessage('bookmarksHTML_title'),
+    iconOf:   tab => iconOf.get(tab.id),
+    lineFeed: getLineFeedOf(definition)
+  });
+  log('plainText: ', plainText);
+  return { richText: null, plainText };
+}
+
+async function renderTabsAsJSON(tabs, definition, options = {}) {
+  const [ancestorsOf, metas] = await Promise.all([
+    getAncestorsOf(tabs),
+    WorkerPool.map(tabs, tab => getContentParams(tab, { reportErrors: false }), getWorkerPoolOptions(options)),
+  ]);
+  const metaOf = new Map(tabs.map((tab, index) => [tab.id, metas[index]]));
+  const plainText = TabsJSON.serialize(Tree.buildTree(tabs, ancestorsOf), {
+    metaOf:   tab => metaOf.get(tab.id),
+    lineFeed: getLineFeedOf(definition)
+  });
+  log('plainText: ', plainText);
+  return { richText: null, plainText };
+}
+
+function getRichTextListTagOf(definition) {
+  switch (definition.richTextList) {
+    case Constants.kRICH_TEXT_LIST_UL:
+      return 'ul';
+    case Constants.kRICH_TEXT_LIST_OL:
+      return 'ol';
+    default:
+      return null;
+  }
+}
+
+async function renderTabsWithTemplate(tabs, definition, options = {}) {
+  const { linkUrl, linkText, contents } = options;
+  const { format, header, footer, separator, groupHeader, trailingNewline } = definition;
+  const isRichText = /%RT%/i.test(format);
+  const richTextListTag = isRichText && getRichTextListTagOf(definition);
+  const ancestorsOf = (richTextListTag || kFORMAT_MATCHER_TST_FIELDS.test(format)) ?
+    await getAncestorsOf(tabs) :
+    null;
+  const outlines = ancestorsOf ? Tree.getOutlines(tabs, ancestorsOf) : [];
+
+  const groups = await getGroupsOf(tabs);
+
+  const lineFeed = getLineFeedOf(definition);
+  const itemsToCopy = await WorkerPool.map(tabs, (tab, index) => fillPlaceHolders(format, tab, {
+    outline:     outlines[index],
+    group:       groups.get(getGroupIdOf(tab)),
+    content:     contents && contents[index],
+    index,
+    count:       tabs.length,
+    linkUrl,
+    linkText,
+    lineFeed,
+  }), getWorkerPoolOptions(options));
+
+  const aggregateParams = await getAggregateParams(tabs, [header, footer, separator, groupHeader], { lineFeed, groups });
+  const headerText    = header ? fillAggregatePlaceHolders(header, aggregateParams) : '';
+  const footerText    = footer ? fillAggregatePlaceHolders(footer, aggregateParams) : '';
+  // A blank string means no separator, while null or undefined means the default line break.
+  const separatorText = typeof separator == 'string' ? fillAggregatePlaceHolders(separator, aggregateParams) : null;
+
+  // Group headers are inserted before the first tab of each group, only when
+  // copied tabs are not in a same group.
+  if (groupHeader &&
+      new Set(tabs.map(getGroupIdOf)).size > 1) {
+    tabs.forEach((tab, index) => {
+      const group = groups.get(getGroupIdOf(tab));
+      if (!group ||
+          (index > 0 && getGroupIdOf(tabs[index - 1]) == group.id))
+        return;
+      const groupHeaderText = fillAggregatePlaceHolders(groupHeader, { ...aggregateParams, group });
+      const item = itemsToCopy[index];
+      itemsToCopy[index] = {
+        richText:  `${groupHeaderText}${item.richText}`,
+        plainText: `${groupHeaderText}${item.plainText}`,
+      };
+    });
+  }
+
+  let richText = null;
+  if (richTextListTag) {
+    const richTextOf = new Map(tabs.map((tab, index) => [tab.id, itemsToCopy[index].richText]));
+    const list = Tree.renderNestedList(Tree.buildTree(tabs, ancestorsOf), tab => richTextOf.get(tab.id), { listTag: richTextListTag });
+    richText = `${headerText}${list}${footerText}`;
+  }
+  else if (isRichText) {
+    richText = `${headerText}${itemsToCopy.map(item => item.richText).join(separatorText === null ? '<br />' : separatorText)}${footerText}`;
+  }
+  let plainText = itemsToCopy.map(item => item.plainText).join(separatorText === null ? lineFeed : separatorText);
+  switch (trailingNewline) {
+    case Constants.kTRAILING_NEWLINE_ALWAYS:
+      plainText += lineFeed;
+      break;
+    case Constants.kTRAILING_NEWLINE_NEVER:
+      break;
+    default:
+      if (tabs.length > 1)
+        plainText += lineFeed;
+      break;
+  }
+  plainText = `${headerText}${plainText}${footerText}`;
 
   log('richText: ', richText);
   log('plainText: ', plainText);
 
+  return { richText, plainText };
+}
+
+export async function writeToClipboard({ tabs, richText, plainText }) {
   if (!richText) {
     log('trying to write text to clipboard via Clipboard API');
     try {
-      navigator.clipboard.writeText(plainText)
+      return navigator.clipboard.writeText(plainText)
         .then(() => {
           notifyCopied(tabs.length, plainText);
         })
         .catch(error => {
           notifyFailed(error);
         });
-      return;
     }
     catch(error) {
       notifyFailed(error);
@@ -145,14 +566,13 @@ export async function copyToClipboard(tabs, format) {
       const dt = new DataTransfer();
       dt.items.add(plainText, 'text/plain');
       dt.items.add(richText, 'text/html');
-      navigator.clipboard.write(dt)
+      return navigator.clipboard.write(dt)
         .then(() => {
           notifyCopied(tabs.length, plainText);
         })
         .catch(error => {
           notifyFailed(error);
         });
-      return;
     }
     catch(error) {
       notifyFailed(error);
@@ -257,65 +677,53 @@ export async function copyToClipboard(tabs, format) {
 
   log('failed to write rich text data to the clipboard, so fallback to plain text data copy via Clipboard API');
   try {
-    navigator.clipboard.writeText(plainText)
+    return navigator.clipboard.writeText(plainText)
       .then(() => {
         notifyCopied(tabs.length, plainText);
       })
       .catch(error => {
         notifyFailed(error);
       });
-    return;
   }
   catch(error) {
     notifyFailed(error);
   }
 }
 
-export async function fillPlaceHolders(format, tab, indentLevel) {
-  log('fillPlaceHolders ', tab.id, format, indentLevel);
+const kFORMAT_MATCHER_CONTENT_FIELDS = /%(?:AUTHOR|DESC(?:RIPTION)?|KEYWORDS|SEL|META|CANONICAL_URL|SHORT_URL|HEADLINE|PUBLISHED_DATE|PUBLISHER)(?![a-z0-9])/i;
+const kFORMAT_MATCHER_FAVICON        = /%FAVICON(?!_URL)(?![a-z0-9])/i;
+
+export async function fillPlaceHolders(format, tab, { outline, group, content, index = 0, count = 1, linkUrl, linkText, lineFeed } = {}) {
+  log('fillPlaceHolders ', tab.id, format, outline);
   const now = new Date();
   let params = {
     tab,
-    indentLevel,
-    lineFeed:  configs.useCRLF ? '\r\n' : '\n',
+    outline: outline || { level: 0, number: String(index + 1), parent: null, childCount: 0 },
+    group,
+    index,
+    count,
+    linkUrl,
+    linkText,
+    lineFeed:  lineFeed || getLineFeedOf(),
+    now,
     timeUTC:   now.toUTCString(),
     timeLocal: now.toLocaleString()
   };
-  if (tab.discarded) {
-    if (configs.reportErrors) {
-      params.author      = browser.i18n.getMessage('error_discarded_author');
-      params.description = browser.i18n.getMessage('error_discarded_description');
-      params.keywords    = browser.i18n.getMessage('error_discarded_keywords');
-    }
+  if (content) {
+    params = { ...params, ...content };
   }
-  else if (!Permissions.isPermittedTab(tab)) {
-    if (configs.reportErrors) {
-      params.author      = browser.i18n.getMessage('error_unpermitted_author');
-      params.description = browser.i18n.getMessage('error_unpermitted_description');
-      params.keywords    = browser.i18n.getMessage('error_unpermitted_keywords');
-    }
-  }
-  else if (/%(AUTHOR|DESC(?:RIPTION)?|KEYWORDS)(?:_HTML(?:IFIED)?)?%/i.test(format)) {
-    log('trying to get data from content ', tab.id);
-    try {
-      let paramsFromContent = await browser.tabs.executeScript(tab.id, {
-        file: '/common/get-content-text.js'
-      });
-      if (Array.isArray(paramsFromContent))
-        paramsFromContent = paramsFromContent[0];
-      params = { ...params, ...paramsFromContent };
-    }
-    catch(error) {
-      console.log(`failed to get data from content `, tab.id, tab.url, error);
-      if (configs.reportErrors) {
-        const errorMessage = error instanceof Error ? `${String(error)}\n${error.stack}` : String(error);
-        params.author      = browser.i18n.getMessage('error_failed_author', [errorMessage]);
-        params.description = browser.i18n.getMessage('error_failed_description', [errorMessage]);
-        params.keywords    = browser.i18n.getMessage('error_failed_keywords', [errorMessage]);
-      }
-    }
+  else if (tab.discarded ||
+           !Permissions.isPermittedTab(tab) ||
+           kFORMAT_MATCHER_CONTENT_FIELDS.test(format)) {
+    // Discarded tabs are loaded only when their contents are really required.
+    params = { ...params, ...(await getContentParams(tab, {
+      loadDiscarded: kFORMAT_MATCHER_CONTENT_FIELDS.test(format),
+      withSelection: kFORMAT_MATCHER_SELECTION.test(format),
+    })) };
     log('params ', params);
   }
+  if (kFORMAT_MATCHER_FAVICON.test(format))
+    params.favicon = await renderFavicon(tab, { richText: /%RT%/i.test(format) });
 
   try {
     const filled = fillPlaceHoldersInternal(format, params);
@@ -323,7 +731,7 @@ export async function fillPlaceHolders(format, tab, indentLevel) {
     if (/%RT%/i.test(format)) {
       return {
         richText:  filled.trim() && filled ||
-                     `<a href="${sanitizeHtmlText(tab.url)}">${sanitizeHtmlText(tab.title)}</a>`,
+                     `<a href="${FieldPlaceHolder.sanitizeHtmlText(tab.url)}">${FieldPlaceHolder.sanitizeHtmlText(tab.title)}</a>`,
         plainText: filled.trim() && filled ||
                      `${tab.title}<${tab.url}>`
       };
@@ -334,7 +742,7 @@ export async function fillPlaceHolders(format, tab, indentLevel) {
     };
   }
   catch(error) {
-    if (error instanceof Replacer.ReplacerError || error instanceof FunctionalPlaceHolder.FunctionalPlaceHolderError)
+    if (isPlaceHolderError(error))
       return {
         richText:  '',
         plainText: error.message
@@ -348,93 +756,309 @@ export async function fillPlaceHolders(format, tab, indentLevel) {
   }
 }
 
-function fillPlaceHoldersInternal(
-  format,
-  { tab, author, description, keywords, timeUTC, timeLocal, lineFeed, indentLevel } = {}
-) {
-  const replaced = Replacer.processAll(
+// Favicons are embedded as images in rich text formats, otherwise just URLs.
+async function renderFavicon(tab, { richText }) {
+  if (!tab.favIconUrl)
+    return '';
+  if (!richText)
+    return tab.favIconUrl;
+  const src = await Favicon.toDataURI(tab.favIconUrl).catch(error => {
+    console.log(`failed to convert favicon `, tab.id, tab.favIconUrl, error);
+    // Privileged URLs like "chrome:" are useless outside Firefox.
+    return /^https?:/i.test(tab.favIconUrl) ? tab.favIconUrl : null;
+  });
+  if (!src)
+    return '';
+  return `<img src="${FieldPlaceHolder.sanitizeHtmlText(src)}" width="16" height="16" alt="" />`;
+}
+
+function getUnpermittedParams({ reportErrors }) {
+  if (!reportErrors)
+    return {};
+  return {
+    author:      browser.i18n.getMessage('error_unpermitted_author'),
+    description: browser.i18n.getMessage('error_unpermitted_description'),
+    keywords:    browser.i18n.getMessage('error_unpermitted_keywords')
+  };
+}
+
+// Data of contents are cached, but selections are always taken from the tab.
+async function getContentParams(tab, { reportErrors = configs.reportErrors, loadDiscarded = true, withSelection = false } = {}) {
+  const cached = !withSelection && ContentCache.get(tab);
+  if (cached) {
+    log('using cached data of content ', tab.id);
+    return cached;
+  }
+
+  if (!Permissions.isPermittedUrl(tab.url))
+    return getUnpermittedParams({ reportErrors });
+
+  if (tab.discarded) {
+    const stale = ContentCache.getStale(tab);
+    if (stale)
+      return stale;
+    // Discarded tabs are never active, so they must not be fetched or
+    // loaded without the host permission.
+    if (!(await Permissions.isGranted(Permissions.ALL_URLS).catch(_error => false)))
+      return getUnpermittedParams({ reportErrors });
+    const params = loadDiscarded && await DiscardedTab.getContentParams(tab).catch(error => {
+      console.log(`failed to get data from discarded tab `, tab.id, tab.url, error);
+      return null;
+    });
+    if (params) {
+      ContentCache.set(tab, params);
+      return params;
+    }
+    if (!reportErrors)
+      return {};
+    return {
+      author:      browser.i18n.getMessage('error_discarded_author'),
+      description: browser.i18n.getMessage('error_discarded_description'),
+      keywords:    browser.i18n.getMessage('error_discarded_keywords')
+    };
+  }
+
+  log('trying to get data from content ', tab.id);
+  try {
+    // A hung tab must not block the whole rendering.
+    const paramsFromContent = await WorkerPool.withTimeout(browser.tabs.executeScript(tab.id, {
+      code: ContentText.SCRIPT
+    }), configs.contentTimeout);
+    const params = (Array.isArray(paramsFromContent) ? paramsFromContent[0] : paramsFromContent) || {};
+    ContentCache.set(tab, params);
+    return params;
+  }
+  catch(error) {
+    console.log(`failed to get data from content `, tab.id, tab.url, error);
+    // An unresponsive tab may still have the last known data.
+    const stale = ContentCache.getStale(tab);
+    if (stale)
+      return stale;
+    if (!reportErrors)
+      return {};
+    const errorMessage = error instanceof Error ? `${String(error)}\n${error.stack}` : String(error);
+    return {
+      author:      browser.i18n.getMessage('error_failed_author', [errorMessage]),
+      description: browser.i18n.getMessage('error_failed_description', [errorMessage]),
+      keywords:    browser.i18n.getMessage('error_failed_keywords', [errorMessage])
+    };
+  }
+}
+
+// Returns the first available value of given meta names, as fallbacks.
+function getMetaValue(metas, names) {
+  if (!metas)
+    return '';
+  for (const name of names) {
+    const value = metas[String(name).trim().toLowerCase()];
+    if (value)
+      return value;
+  }
+  return '';
+}
+
+function fillPlaceHoldersInternal(format, params = {}) {
+  const { tab, author, description, keywords, metas, canonicalUrl, shortUrl, headline, publishedDate, publisher, selection, selectionSource, linkUrl, linkText, index, count, now, timeUTC, timeLocal, lineFeed, outline, group, favicon } = params;
+  // Conditionals must be processed before others, to fill placeholders only in the chosen branch.
+  const chosen = Conditional.processAll(
     format,
-    (input, ..._replacePairs) => fillPlaceHoldersInternal(input, { tab, author, description, keywords, timeUTC, timeLocal, lineFeed, indentLevel })
+    input => fillPlaceHoldersInternal(input, params)
   );
-  const filled = FunctionalPlaceHolder.processAll(replaced, {
+  const replaced = Replacer.processAll(
+    chosen,
+    (input, ..._replacePairs) => fillPlaceHoldersInternal(input, params)
+  );
+  // Results of functional placeholders can contain texts from pages, so they
+  // must not be processed as field placeholders.
+  return FunctionalPlaceHolder.processAll(replaced, {
     container_name:            (prefix, suffix) => tab.container ? `${prefix}${tab.container}${suffix}` : '',
-    container_name_html:       (prefix, suffix) => sanitizeHtmlText(tab.container ? `${prefix}${tab.container}${suffix}` : ''),
-    container_name_htmlified:  (prefix, suffix) => sanitizeHtmlText(tab.container ? `${prefix}${tab.container}${suffix}` : ''),
+    container_name_html:       (prefix, suffix) => FieldPlaceHolder.sanitizeHtmlText(tab.container ? `${prefix}${tab.container}${suffix}` : ''),
+    container_name_htmlified:  (prefix, suffix) => FieldPlaceHolder.sanitizeHtmlText(tab.container ? `${prefix}${tab.container}${suffix}` : ''),
     container_title:           (prefix, suffix) => tab.container ? `${prefix}${tab.container}${suffix}` : '',
-    container_title_html:      (prefix, suffix) => sanitizeHtmlText(tab.container ? `${prefix}${tab.container}${suffix}` : ''),
-    container_title_htmlified: (prefix, suffix) => sanitizeHtmlText(tab.container ? `${prefix}${tab.container}${suffix}` : ''),
-  });
-  return filled
-    .replace(/%(?:RLINK|RLINK_HTML(?:IFIED)?|SEL|SEL_HTML(?:IFIED)?)%/gi, '')
-    .replace(/%URL%/gi, tab.url)
-    .replace(/%(?:TITLE|TEXT)%/gi, tab.title)
-    .replace(/%URL_HTML(?:IFIED)?%/gi, sanitizeHtmlText(tab.url))
-    .replace(/%TITLE_HTML(?:IFIED)?%/gi, sanitizeHtmlText(tab.title))
-    .replace(/%URL_MD?%/gi, sanitizeMdText(tab.url))
-    .replace(/%URL_MD_LINK_TITLE?%/gi, sanitizeMdLinkTitleText(tab.url))
-    .replace(/%(?:TITLE|TEXT)_MD%/gi, sanitizeMdText(tab.title))
-    .replace(/%(?:TITLE|TEXT)_MD_LINK_TITLE%/gi, sanitizeMdLinkTitleText(tab.title))
-    .replace(/%CONTAINER_(?:NAME|TITLE)%/gi, tab.container ? `${tab.container}: ` : '')
-    .replace(/%CONTAINER_(?:NAME|TITLE)_HTML(?:IFIED)%/gi, tab.container ? `${tab.container}: ` : '')
-    .replace(/%CONTAINER_(?:NAME|TITLE)_MD%/gi, tab.container ? `${sanitizeMdText(tab.container)}: ` : '')
-    .replace(/%CONTAINER_(?:NAME|TITLE)_MD_LINK_TITLE%/gi, tab.container ? `${sanitizeMdLinkTitleText(tab.container)}: ` : '')
-    .replace(/%CONTAINER_URL%/gi, tab.container ? `ext+container:name=${tab.container}&url=${tab.url}` : tab.url)
-    .replace(/%CONTAINER_URL_HTML(?:IFIED)%/gi, tab.container ? `ext+container:name=${tab.container}&url=${sanitizeHtmlText(tab.url)}` : sanitizeHtmlText(tab.url))
-    .replace(/%AUTHOR%/gi, author || '')
-    .replace(/%AUTHOR_HTML(?:IFIED)?%/gi, sanitizeHtmlText(author || ''))
-    .replace(/%AUTHOR_MD%/gi, sanitizeMdText(author || ''))
-    .replace(/%AUTHOR_MD_LINK_TITLE%/gi, sanitizeMdLinkTitleText(author || ''))
-    .replace(/%DESC(?:RIPTION)?%/gi, description || '')
-    .replace(/%DESC(?:RIPTION)?_HTML(?:IFIED)?%/gi, sanitizeHtmlText(description || ''))
-    .replace(/%DESC(?:RIPTION)?_MD%/gi, sanitizeMdText(description || ''))
-    .replace(/%DESC(?:RIPTION)?_MD_LINK_TITLE%/gi, sanitizeMdLinkTitleText(description || ''))
-    .replace(/%KEYWORDS%/gi, keywords || '')
-    .replace(/%KEYWORDS_HTML(?:IFIED)?%/gi, sanitizeHtmlText(keywords || ''))
-    .replace(/%KEYWORDS_MD%/gi, sanitizeMdText(keywords || ''))
-    .replace(/%KEYWORDS_MD_LINK_TITLE%/gi, sanitizeMdLinkTitleText(keywords || ''))
-    .replace(/%UTC_TIME%/gi, timeUTC)
-    .replace(/%UTC_TIME_MD%/gi, sanitizeMdText(timeUTC))
-    .replace(/%UTC_TIME_MD_LINK_TITLE%/gi, sanitizeMdLinkTitleText(timeUTC))
-    .replace(/%LOCAL_TIME%/gi, timeLocal)
-    .replace(/%LOCAL_TIME_MD%/gi, sanitizeMdText(timeLocal))
-    .replace(/%LOCAL_TIME_MD_LINK_TITLE%/gi, sanitizeMdLinkTitleText(timeLocal))
-    .replace(/%TAB%/gi, '\t')
-    .replace(/%EOL%/gi, lineFeed)
-    .replace(/%RT%/gi, '')
-    .replace(kFORMAT_MATCHER_TST_INDENT, matched => {
-      let indenters = matched.replace(/^%TST_INDENT|%$/g, '');
-      if (indenters == '') {
-        indenters = ['  '];
-      }
-      else {
-        indenters = indenters
-          .match(kFORMAT_PARAMETER_MATCHER)
-          .map(indenter => indenter.substring(1, indenter.length - 1))
-          .reverse();
-      }
-      let indent = '';
-      for (let i = 0; i < indentLevel; i++) {
-        const indenter = indenters[Math.min(i, indenters.length - 1)];
-        indent = `${indenter}${indent}`;
-      }
-      return indent;
+    container_title_html:      (prefix, suffix) => FieldPlaceHolder.sanitizeHtmlText(tab.container ? `${prefix}${tab.container}${suffix}` : ''),
+    container_title_htmlified: (prefix, suffix) => FieldPlaceHolder.sanitizeHtmlText(tab.container ? `${prefix}${tab.container}${suffix}` : ''),
+    url_query:                 name => URLFields.getQueryParam(tab.url, name),
+    meta:                      (...names) => getMetaValue(metas, names),
+    time:                      (pattern, timeZone) => DateFormat.format(now, pattern, { timeZone }),
+    last_accessed:             (pattern, timeZone) => tab.lastAccessed ? DateFormat.format(tab.lastAccessed, pattern, { timeZone }) : '',
+  }, fillFieldPlaceHolders);
+
+  function fillFieldPlaceHolders(filled) {
+    const container = FieldPlaceHolder.withSuffix(tab.container, ': ');
+    const containerUrl = tab.container ? `ext+container:name=${tab.container}&url=${tab.url}` : tab.url;
+    const url = URLFields.parse(tab.url);
+    const fieldsFilled = FieldPlaceHolder.processAll(filled, {
+      URL:              tab.url,
+      CLEAN_URL:        () => cleanUrl(tab.url),
+      URL_HOST:         url.host,
+      URL_HOSTNAME:     url.hostname,
+      URL_DOMAIN:       url.domain,
+      URL_ORIGIN:       url.origin,
+      URL_PATH:         url.path,
+      URL_HASH:         url.hash,
+      URL_DECODED:      url.decoded,
+      TITLE:            tab.title,
+      TEXT:             tab.title,
+      CONTAINER_NAME:   container,
+      CONTAINER_TITLE:  container,
+      CONTAINER_URL:    containerUrl,
+      AUTHOR:           author,
+      DESC:             description,
+      DESCRIPTION:      description,
+      KEYWORDS:         keywords,
+      CANONICAL_URL:    canonicalUrl,
+      SHORT_URL:        shortUrl,
+      HEADLINE:         headline,
+      PUBLISHED_DATE:   publishedDate,
+      PUBLISHER:        publisher,
+      SEL:              selection,
+      SEL_SOURCE:       selectionSource,
+      RLINK:            linkUrl,
+      RLINK_TEXT:       linkText,
+      UTC_TIME:         timeUTC,
+      LOCAL_TIME:       timeLocal,
+      LAST_ACCESSED:    tab.lastAccessed ? new Date(tab.lastAccessed).toLocaleString() : '',
+      INDEX:            index + 1,
+      INDEX0:           index,
+      COUNT:            count,
+      TAB_INDEX:        tab.index,
+      TAB_ID:           tab.id,
+      WINDOW_ID:        tab.windowId,
+      PINNED:           !!tab.pinned,
+      MUTED:            !!(tab.mutedInfo && tab.mutedInfo.muted),
+      AUDIBLE:          !!tab.audible,
+      INCOGNITO:        !!tab.incognito,
+      FAVICON:          favicon,
+      FAVICON_URL:      tab.favIconUrl,
+      TST_NUMBER:       outline.number,
+      TST_LEVEL:        outline.level,
+      TST_PARENT_TITLE: outline.parent && outline.parent.title,
+      TST_CHILD_COUNT:  outline.childCount,
+      GROUP_TITLE:      group && group.title || '',
+      GROUP_COLOR:      group && group.color || '',
+      TAB:              '\t',
+      EOL:              lineFeed,
     });
+    return fieldsFilled
+      .replace(/%RT%/gi, '')
+      .replace(kFORMAT_MATCHER_TST_INDENT, matched => {
+        let indenters = matched.replace(/^%TST_INDENT|%$/g, '');
+        if (indenters == '') {
+          indenters = ['  '];
+        }
+        else {
+          indenters = indenters
+            .match(kFORMAT_PARAMETER_MATCHER)
+            .map(indenter => indenter.substring(1, indenter.length - 1))
+            .reverse();
+        }
+        let indent = '';
+        for (let i = 0; i < outline.level; i++) {
+          const indenter = indenters[Math.min(i, indenters.length - 1)];
+          indent = `${indenter}${indent}`;
+        }
+        return indent;
+      });
+  }
 }
 
-export function sanitizeHtmlText(text) {
-  return text
-    .replace(/&/g, '&amp;')
-    .replace(/"/g, '&quot;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;');
-}
+export async function readFromClipboard() {
+  log('trying to read data from clipboard via execCommand');
+  const data = await new Promise((resolve, _reject) => {
+    const field = document.body.appendChild(document.createElement('textarea'));
+    let done = false;
+    document.addEventListener('paste', event => {
+      if (done)
+        return;
+      event.stopImmediatePropagation();
+      event.preventDefault();
+      done = true;
+      resolve({
+        plainText: event.clipboardData.getData('text/plain'),
+        richText:  event.clipboardData.getData('text/html')
+      });
+    }, {
+      once:    true,
+      capture: true
+    });
+    field.focus();
+    const pasted = document.execCommand('paste');
+    field.parentNode.removeChild(field);
+    if (!pasted && !done) {
+      done = true;
+      resolve(null);
+    }
+  });
+  if (data)
+    return data;
 
-export function sanitizeMdText(text) {
-  return text.replace(/[-!"#$%&'()*+,./:;<=>?@^_`{|}~\[\\\]]/g, '\\$&');
+  log('failed to read data via execCommand, so fallback to plain text data via Clipboard API');
+  return {
+    plainText: await navigator.clipboard.readText(),
+    richText:  ''
+  };
 }
 
-export function sanitizeMdLinkTitleText(text) {
-  return text.replace(/["'()&\\]/g, '\\$&');
+// `permitted` should be a promise returned by Permissions.request(), because
+// the permission must be requested while handling user actions.
+export async function openTabsFromClipboard({ windowId, index, permitted } = {}) {
+  if (!(await (permitted || Permissions.isGranted(Permissions.CLIPBOARD_READ)).catch(_error => false))) {
+    notifyOpenFailed(browser.i18n.getMessage('notification_clipboardReadNotPermitted_message'));
+    return [];
+  }
+
+  let links = [];
+  try {
+    const { plainText, richText } = await readFromClipboard();
+    log('openTabsFromClipboard: ', { plainText, richText });
+    if (richText)
+      links = LinkExtractor.extractLinksFromHTML(richText);
+    if (links.length == 0 && plainText)
+      links = LinkExtractor.extractLinksFromText(plainText);
+  }
+  catch(error) {
+    log('failed to read data from clipboard: ', error);
+    notifyOpenFailed(error);
+    return [];
+  }
+  log('links: ', links);
+  if (links.length == 0) {
+    notifyOpenFailed(browser.i18n.getMessage('notification_noLinkToOpen_message'));
+    return [];
+  }
+
+  const openedTabs = [];
+  // the last opened tab for each level, to find out the parent tab
+  const lastTabAtLevel = [];
+  for (const link of links) {
+    const parent = link.level > 0 && lastTabAtLevel.slice(0, link.level).reverse().find(tab => !!tab);
+    try {
+      const tab = await browser.tabs.create({
+        windowId,
+        url:    link.url,
+        active: false,
+        ...(typeof index == 'number' ? { index: index + openedTabs.length } : {}),
+        ...(parent ? { openerTabId: parent.id } : {})
+      });
+      openedTabs.push(tab);
+      lastTabAtLevel.length = link.level;
+      lastTabAtLevel[link.level] = tab;
+      if (parent) {
+        await browser.runtime.sendMessage(Constants.kTST_ID, {
+          type:   Constants.kTSTAPI_ATTACH,
+          parent: parent.id,
+          child:  tab.id
+        }).catch(_error => {});
+      }
+    }
+    catch(error) {
+      // privileged URLs like "about:config" cannot be opened by addons.
+      log(`failed to open ${link.url}: `, error);
+      lastTabAtLevel.length = link.level;
+    }
+  }
+  notifyOpened(openedTabs.length, links.map(link => link.title ? `${link.title} <${link.url}>` : link.url).join('\n'));
+  return openedTabs;
 }
 
 async function notifyCopied(count, copied) {
@@ -455,3 +1079,49 @@ async function notifyFailed(error) {
     message: browser.i18n.getMessage('notification_failedToCopy_message', [String(error)])
   });
 }
+
+async function notifyOpened(count, urls) {
+  if (!configs.shouldNotifyResult)
+    return;
+  return notify({
+    title:   browser.i18n.getMessage(count > 1 ? 'notification_opened_multiple_title' : 'notification_opened_title', [count]),
+    message: urls
+  });
+}
+
+async function notifyOpenFailed(error) {
+  if (!configs.shouldNotifyResult)
+    return;
+  notify({
+    title:   browser.i18n.getMessage('notification_failedToOpen_title'),
+    message: String(error)
+  });
+}
+
+async function notifySaved(count, filename) {
+  if (!configs.shouldNotifyResult)
+    return;
+  return notify({
+    title:   browser.i18n.getMessage(count > 1 ? 'notification_saved_multiple_title' : 'notification_saved_title', [count]),
+    message: browser.i18n.getMessage('notification_saved_message', [filename])
+  });
+}
+
+async function notifyDownloadsNotPermitted() {
+  if (!configs.shouldNotifyResult)
+    return;
+  notify({
+    title:   browser.i18n.getMessage('notification_failedToSave_title'),
+    message: browser.i18n.getMessage('notification_downloadsNotPermitted_message')
+  });
+}
+
+async function notifyFailedToSave(error) {
+  log('failed to save data to a file: ', error);
+  if (!configs.shouldNotifyResult)
+    return;
+  notify({
+    title:   browser.i18n.getMessage('notification_failedToSave_title'),
+    message: browser.i18n.getMessage('notification_failedToCopy_message', [String(error)])
+  });
+}
@@ -7,6 +7,7 @@
 
 import Configs from '/extlib/Configs.js';
 import * as Constants from './constants.js';
+import * as URLCleaner from './url-cleaner.js';
 
 const defaultClipboardFormats = [];
 defaultClipboardFormats.push({
@@ -24,27 +25,57 @@ defaultClipboardFormats.push({
 });
 */
 defaultClipboardFormats.push({
-  label:  browser.i18n.getMessage('context_clipboard_html_link_label'),
-  format: '<a title="%TITLE_HTML%" href="%URL_HTML%">%TITLE_HTML%</a>'
+  label:     browser.i18n.getMessage('context_clipboard_html_link_label'),
+  format:    '<a title="%TITLE_HTML%" href="%URL_HTML%">%TITLE_HTML%</a>',
+  extension: 'html',
+  mimeType:  'text/html'
 });
 defaultClipboardFormats.push({
-  label:  browser.i18n.getMessage('context_clipboard_markdown_label'),
-  format: '[%TITLE_MD%](%URL% "%TITLE_MD_LINK_TITLE%")'
+  label:     browser.i18n.getMessage('context_clipboard_markdown_label'),
+  format:    '[%TITLE_MD%](%URL% "%TITLE_MD_LINK_TITLE%")',
+  extension: 'md',
+  mimeType:  'text/markdown'
 });
 defaultClipboardFormats.push({
-  label:  browser.i18n.getMessage('context_clipboard_markdown_list_label'),
-  format: '%TST_INDENT(  )%* [%TITLE_MD%](%URL% "%TITLE_MD_LINK_TITLE%")'
+  label:     browser.i18n.getMessage('context_clipboard_markdown_list_label'),
+  format:    '%TST_INDENT(  )%* [%TITLE_MD%](%URL% "%TITLE_MD_LINK_TITLE%")',
+  extension: 'md',
+  mimeType:  'text/markdown'
+});
+defaultClipboardFormats.push({
+  label:     browser.i18n.getMessage('context_clipboard_bookmarks_html_label'),
+  type:      Constants.kFORMAT_TYPE_BOOKMARKS_HTML,
+  format:    '',
+  extension: 'html',
+  mimeType:  'text/html'
+});
+defaultClipboardFormats.push({
+  label:     browser.i18n.getMessage('context_clipboard_json_label'),
+  type:      Constants.kFORMAT_TYPE_JSON,
+  format:    '',
+  extension: 'json',
+  mimeType:  'application/json'
 });
 
 export const configs = new Configs({
   showContextCommandOnTab: true,
   showContextCommandOnPage: false,
+  showContextCommandOnLink: false,
   fallbackForSingleTab:         Constants.kCOPY_SINGLE_TAB,
   fallbackForSingleTabModified: Constants.kCOPY_TREE,
+  inferTreeFromOpener: true,
   showContextCommandForSingleTab: null, // obsolete: migrated to fallbackForSingleTab=kCOPY_SINGLE_TAB
   clearSelectionAfterCommandInvoked: false,
   shouldNotifyResult: true,
   copyToClipboardFormats: defaultClipboardFormats,
+  showSaveToFileCommand: true,
+  saveToFileNameTemplate: 'tabs-%LOCAL_TIME%.%EXTENSION%',
+  saveToFileWithDialog: false,
+  cleanUrlRules: URLCleaner.DEFAULT_RULES,
+  discardedTabStrategy: Constants.kDISCARDED_TAB_STRATEGY_NONE,
+  renderingConcurrency: 8,
+  contentTimeout: 10 * 1000,
+  progressNotificationThreshold: 50,
   reportErrors: false,
   useCRLF: false,
   notificationTimeout: 10 * 1000,
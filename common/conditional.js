@@ -0,0 +1,54 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+import * as FunctionalPlaceHolder from './functional-placeholder.js';
+
+export class ConditionalError extends Error {
+  constructor(...args) {
+    super(...args);
+  }
+}
+
+// Only the chosen branch is filled via the given filter, so placeholders in
+// the other branch are never evaluated.
+export function processAll(input, filter) {
+  return FunctionalPlaceHolder.processAll(input, {
+    if:      (...args) => processIf(args, filter),
+    ifmatch: (...args) => processIfMatch(args, filter),
+  });
+}
+
+function processIf(args, filter) {
+  if (args.length < 2 || args.length > 3)
+    throw new ConditionalError(`Wrong number of arguments: IF must take one condition text, one text for non-empty condition, and optional text for empty condition`);
+
+  const [condition, thenText, elseText = ''] = args;
+  return fill(condition, filter).trim() != '' ?
+    fill(thenText, filter) :
+    fill(elseText, filter);
+}
+
+function processIfMatch(args, filter) {
+  if (args.length < 3 || args.length > 4)
+    throw new ConditionalError(`Wrong number of arguments: IFMATCH must take one base text, one matcher, one text for matched case, and optional text for unmatched case`);
+
+  let matcher;
+  try {
+    matcher = new RegExp(args[1], 'i');
+  }
+  catch(error) {
+    throw new ConditionalError(`Invalid matcher "${args[1]}" for IFMATCH: ${error.message}`);
+  }
+  const [base, , thenText, elseText = ''] = args;
+  return matcher.test(fill(base, filter)) ?
+    fill(thenText, filter) :
+    fill(elseText, filter);
+}
+
+function fill(text, filter) {
+  return typeof filter == 'function' ? filter(text) : text;
+}
@@ -10,8 +10,34 @@ export const kCOPY_SINGLE_TAB       = 1;
 export const kCOPY_TREE             = 2;
 export const kCOPY_TREE_DESCENDANTS = 3;
 export const kCOPY_ALL              = 4;
+export const kCOPY_GROUP            = 5;
 
-export const WITH_CONTAINER_MATCHER = /%(?:CONTAINER_URL(?:_HTML(?:IFIED)?)?|CONTAINER_(?:TITLE|NAME)(?:_HTML(?:IFIED)?)?(?:\(.*?\))?)%/i;
+// the value of tabs.Tab.groupId for tabs not in any native tab group
+export const kTAB_GROUP_ID_NONE = -1;
+
+export const kCOMMAND_RENDER = 'render';
+
+export const kFORMAT_TYPE_TEMPLATE       = 'template';
+export const kFORMAT_TYPE_BOOKMARKS_HTML = 'bookmarks-html';
+export const kFORMAT_TYPE_JSON           = 'json';
+
+export const kLINE_ENDING_DEFAULT = 'default';
+export const kLINE_ENDING_LF      = 'lf';
+export const kLINE_ENDING_CRLF    = 'crlf';
+
+export const kTRAILING_NEWLINE_AUTO   = 'auto';
+export const kTRAILING_NEWLINE_ALWAYS = 'always';
+export const kTRAILING_NEWLINE_NEVER  = 'never';
+
+export const kRICH_TEXT_LIST_NONE = 'none';
+export const kRICH_TEXT_LIST_UL   = 'ul';
+export const kRICH_TEXT_LIST_OL   = 'ol';
+
+export const kDISCARDED_TAB_STRATEGY_NONE   = 'none';
+export const kDISCARDED_TAB_STRATEGY_FETCH  = 'fetch';
+export const kDISCARDED_TAB_STRATEGY_RELOAD = 'reload';
+
+export const WITH_CONTAINER_MATCHER = /%CONTAINER_(?:URL|TITLE|NAME)(?![a-z0-9])/i;
 
 
 export const kTST_ID = 'treestyletab@piro.sakura.ne.jp';
@@ -22,6 +48,7 @@ export const kTSTAPI_PING                    = 'ping';
 export const kTSTAPI_NOTIFY_READY            = 'ready';
 export const kTSTAPI_GET_TREE                = 'get-tree';
 export const kTSTAPI_GET_TREE_STRUCTURE      = 'get-tree-structure';
+export const kTSTAPI_ATTACH                  = 'attach';
 export const kTSTAPI_CONTEXT_MENU_CREATE     = 'fake-contextMenu-create';
 export const kTSTAPI_CONTEXT_MENU_UPDATE     = 'fake-contextMenu-update';
 export const kTSTAPI_CONTEXT_MENU_REMOVE     = 'fake-contextMenu-remove';
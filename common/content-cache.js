@@ -0,0 +1,97 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+/*
+Caches data of contents (metadata of pages) keyed by URL, for the background
+page. A cached data is fresh only for the document it is taken from: the same
+tab until it is reloaded or navigated. Load times are tracked per tab, so
+other tabs with the same URL cannot reuse it as fresh data. After that it is
+still available as the last known data for the URL.
+Selections are not cached, because they can be changed without any loading.
+*/
+
+const kMAX_SIZE = 1000;
+
+// URL => { loadKey, params }, from the oldest to the newest
+const mEntries = new Map();
+// tab id => time when the current document started to be loaded
+const mLoadTimes = new Map();
+let mTracking = false;
+
+function onUpdated(tabId, changeInfo) {
+  if (changeInfo.status == 'loading' ||
+      'url' in changeInfo)
+    onLoading(tabId);
+}
+
+function onRemoved(tabId) {
+  mLoadTimes.delete(tabId);
+}
+
+export function startTracking() {
+  if (mTracking)
+    return;
+  mTracking = true;
+  browser.tabs.onUpdated.addListener(onUpdated);
+  browser.tabs.onRemoved.addListener(onRemoved);
+}
+
+// Cached data become unavailable as fresh data after this, because we cannot
+// know whether they are outdated.
+export function stopTracking() {
+  if (!mTracking)
+    return;
+  mTracking = false;
+  browser.tabs.onUpdated.removeListener(onUpdated);
+  browser.tabs.onRemoved.removeListener(onRemoved);
+  mLoadTimes.clear();
+}
+
+export function onLoading(tabId, time = Date.now()) {
+  mLoadTimes.set(tabId, time);
+}
+
+// The tab id is required because load times are not comparable between tabs.
+function getLoadKey(tab) {
+  return `${tab.id}:${mLoadTimes.get(tab.id) || 0}`;
+}
+
+// Returns the cached data only if it is for the current document of the tab.
+// Without tracking we cannot know whether it is outdated, so nothing is returned.
+export function get(tab) {
+  if (!mTracking)
+    return null;
+  const entry = mEntries.get(tab.url);
+  return entry && entry.loadKey == getLoadKey(tab) ? entry.params : null;
+}
+
+// Returns the last known data for the URL, even if it is outdated.
+export function getStale(tab) {
+  const entry = mEntries.get(tab.url);
+  return entry ? entry.params : null;
+}
+
+export function set(tab, params) {
+  if (!params || params.error)
+    return;
+  const metadata = { ...params };
+  delete metadata.selection;
+  delete metadata.selectionSource;
+  mEntries.delete(tab.url);
+  mEntries.set(tab.url, {
+    loadKey: getLoadKey(tab),
+    params:  metadata,
+  });
+  while (mEntries.size > kMAX_SIZE) {
+    mEntries.delete(mEntries.keys().next().value);
+  }
+}
+
+export function clear() {
+  mEntries.clear();
+  mLoadTimes.clear();
+}
@@ -0,0 +1,191 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+/*
+Formats dates with patterns, for example:
+
+  format(date, 'YYYY-MM-DD HH:mm')     => "2026-10-19 09:05"
+  format(date, '<%Y-%m-%d %a>')        => "<2026-10-19 Mon>"
+  format(date, 'ISO', { timeZone: 'UTC' }) => "2026-10-19T00:05:00+00:00"
+
+Both Moment.js style tokens and strftime style tokens are available.
+Texts wrapped with "[" and "]" are not processed as tokens. Words including
+any letter which is not a part of tokens, like "Day" and "of", are also left
+as is, but words consisting only of tokens like "Mass" are still processed, so
+literal texts should be wrapped.
+The time zone can be "local" (default), "UTC" or an IANA time zone name
+like "Asia/Tokyo". Names of months and days are always in English.
+*/
+
+export class DateFormatError extends Error {
+  constructor(...args) {
+    super(...args);
+  }
+}
+
+const PRESETS = {
+  iso:     'YYYY-MM-DD[T]HH:mm:ssZ',
+  iso8601: 'YYYY-MM-DD[T]HH:mm:ssZ',
+  date:    'YYYY-MM-DD',
+  org:     '<YYYY-MM-DD ddd>',
+};
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const DAY_NAMES   = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const pad = (value, length = 2, padding = '0') => String(value).padStart(length, padding);
+
+const formatOffset = (offset, delimiter) => {
+  const absolute = Math.abs(offset);
+  return `${offset < 0 ? '-' : '+'}${pad(Math.floor(absolute / 60))}${delimiter}${pad(absolute % 60)}`;
+};
+
+const TOKENS = {
+  YYYY: parts => pad(parts.year, 4),
+  YY:   parts => pad(parts.year % 100),
+  MMMM: parts => MONTH_NAMES[parts.month - 1],
+  MMM:  parts => MONTH_NAMES[parts.month - 1].substring(0, 3),
+  MM:   parts => pad(parts.month),
+  M:    parts => String(parts.month),
+  DDDD: parts => pad(parts.dayOfYear, 3),
+  DD:   parts => pad(parts.day),
+  D:    parts => String(parts.day),
+  dddd: parts => DAY_NAMES[parts.dayOfWeek],
+  ddd:  parts => DAY_NAMES[parts.dayOfWeek].substring(0, 3),
+  HH:   parts => pad(parts.hour),
+  H:    parts => String(parts.hour),
+  hh:   parts => pad(parts.hour % 12 || 12),
+  h:    parts => String(parts.hour % 12 || 12),
+  mm:   parts => pad(parts.minute),
+  m:    parts => String(parts.minute),
+  ss:   parts => pad(parts.second),
+  s:    parts => String(parts.second),
+  SSS:  parts => pad(parts.millisecond, 3),
+  A:    parts => parts.hour < 12 ? 'AM' : 'PM',
+  a:    parts => parts.hour < 12 ? 'am' : 'pm',
+  ZZ:   parts => formatOffset(parts.offset, ''),
+  Z:    parts => formatOffset(parts.offset, ':'),
+  X:    parts => String(Math.floor(parts.time / 1000)),
+  x:    parts => String(parts.time),
+
+  // strftime style
+  '%Y': parts => TOKENS.YYYY(parts),
+  '%y': parts => TOKENS.YY(parts),
+  '%m': parts => TOKENS.MM(parts),
+  '%d': parts => TOKENS.DD(parts),
+  '%e': parts => pad(parts.day, 2, ' '),
+  '%j': parts => TOKENS.DDDD(parts),
+  '%H': parts => TOKENS.HH(parts),
+  '%I': parts => TOKENS.hh(parts),
+  '%M': parts => TOKENS.mm(parts),
+  '%S': parts => TOKENS.ss(parts),
+  '%L': parts => TOKENS.SSS(parts),
+  '%p': parts => TOKENS.A(parts),
+  '%a': parts => TOKENS.ddd(parts),
+  '%A': parts => TOKENS.dddd(parts),
+  '%b': parts => TOKENS.MMM(parts),
+  '%B': parts => TOKENS.MMMM(parts),
+  '%z': parts => TOKENS.ZZ(parts),
+  '%s': parts => TOKENS.X(parts),
+  '%F': parts => `${TOKENS.YYYY(parts)}-${TOKENS.MM(parts)}-${TOKENS.DD(parts)}`,
+  '%T': parts => `${TOKENS.HH(parts)}:${TOKENS.mm(parts)}:${TOKENS.ss(parts)}`,
+  '%%': () => '%',
+};
+
+const TOKEN_MATCHER = /\[([^\]]*)\]|%[a-z%]|[a-z]+/gi;
+// Longer tokens must be tried before shorter ones.
+const WORD_TOKEN_MATCHER = new RegExp(
+  Object.keys(TOKENS).filter(token => !token.startsWith('%')).sort((a, b) => b.length - a.length).join('|'),
+  'y'
+);
+
+export function format(date, pattern = 'iso', { timeZone = 'local' } = {}) {
+  if (!(date instanceof Date))
+    date = new Date(date);
+  if (isNaN(date.getTime()))
+    return '';
+  pattern = PRESETS[pattern.toLowerCase()] || pattern;
+  const parts = getParts(date, timeZone);
+  return pattern.replace(TOKEN_MATCHER, (matched, literal) => {
+    if (literal !== undefined)
+      return literal;
+    if (matched.startsWith('%'))
+      return matched in TOKENS ? TOKENS[matched](parts) : matched;
+    return formatWord(matched, parts);
+  });
+}
+
+// A word like "HHmm" is processed only when it consists of tokens.
+function formatWord(word, parts) {
+  let formatted = '';
+  WORD_TOKEN_MATCHER.lastIndex = 0;
+  while (WORD_TOKEN_MATCHER.lastIndex < word.length) {
+    const matched = WORD_TOKEN_MATCHER.exec(word);
+    if (!matched)
+      return word;
+    formatted += TOKENS[matched[0]](parts);
+  }
+  return formatted;
+}
+
+function getParts(date, timeZone) {
+  const time = date.getTime();
+  let year, month, day, hour, minute, second;
+  if (!timeZone || /^local$/i.test(timeZone)) {
+    year   = date.getFullYear();
+    month  = date.getMonth() + 1;
+    day    = date.getDate();
+    hour   = date.getHours();
+    minute = date.getMinutes();
+    second = date.getSeconds();
+  }
+  else if (/^(?:UTC|GMT|Z)$/i.test(timeZone)) {
+    year   = date.getUTCFullYear();
+    month  = date.getUTCMonth() + 1;
+    day    = date.getUTCDate();
+    hour   = date.getUTCHours();
+    minute = date.getUTCMinutes();
+    second = date.getUTCSeconds();
+  }
+  else {
+    let formatter;
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year:      'numeric',
+        month:     'numeric',
+        day:       'numeric',
+        hour:      'numeric',
+        minute:    'numeric',
+        second:    'numeric',
+      });
+    }
+    catch(error) {
+      throw new DateFormatError(`Invalid time zone "${timeZone}": ${error.message}`);
+    }
+    const values = {};
+    for (const part of formatter.formatToParts(date)) {
+      values[part.type] = parseInt(part.value);
+    }
+    ({ year, month, day, hour, minute, second } = values);
+  }
+  const localizedTime = Date.UTC(year, month - 1, day, hour, minute, second);
+  return {
+    time,
+    year,
+    month,
+    day,
+    hour,
+    minute,
+    second,
+    millisecond: date.getUTCMilliseconds(),
+    dayOfWeek:   new Date(localizedTime).getUTCDay(),
+    dayOfYear:   Math.floor((Date.UTC(year, month - 1, day) - Date.UTC(year, 0, 1)) / 86400000) + 1,
+    offset:      Math.round((localizedTime - (time - date.getUTCMilliseconds())) / 60000),
+  };
+}
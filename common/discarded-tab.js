@@ -0,0 +1,139 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+import {
+  log,
+  configs
+} from './common.js';
+import * as Constants from './constants.js';
+import * as ContentText from './get-content-text.js';
+import * as WorkerPool from './worker-pool.js';
+
+// Gets data of contents for discarded tabs, without loading them in
+// the tab (or with loading them temporarily).
+// This returns null if there is no available strategy.
+
+export async function getContentParams(tab) {
+  switch (configs.discardedTabStrategy) {
+    case Constants.kDISCARDED_TAB_STRATEGY_FETCH:
+      // We cannot send cookies of containers and private browsing via fetch(),
+      // so such tabs are loaded temporarily to get contents same to the user sees.
+      if (tab.cookieStoreId &&
+          tab.cookieStoreId != 'firefox-default')
+        return reloadContentParams(tab);
+      return fetchContentParams(tab);
+
+    case Constants.kDISCARDED_TAB_STRATEGY_RELOAD:
+      return reloadContentParams(tab);
+
+    default:
+      return null;
+  }
+}
+
+async function fetchContentParams(tab) {
+  if (!/^https?:/i.test(tab.url))
+    return null;
+
+  log('DiscardedTab: fetching ', tab.id, tab.url);
+  const response = await WorkerPool.withTimeout(fetch(tab.url, {
+    credentials: 'include',
+    redirect:    'follow',
+  }), configs.contentTimeout);
+  const contentType = response.headers.get('Content-Type') || '';
+  if (!response.ok ||
+      !/html|xml/i.test(contentType))
+    return null;
+
+  const source = decode(await response.arrayBuffer(), contentType);
+  const document = new DOMParser().parseFromString(source, 'text/html');
+  // Relative URLs must be resolved based on the fetched page, instead of
+  // the background page.
+  if (!document.querySelector('base[href]')) {
+    const base = document.createElement('base');
+    base.setAttribute('href', response.url);
+    document.head.prepend(base);
+  }
+  return ContentText.getContentText(document);
+}
+
+function decode(buffer, contentType) {
+  let charset = (contentType.match(/charset=["']?([^;"'\s]+)/i) || [])[1];
+  if (!charset) {
+    const head = new TextDecoder('windows-1252').decode(buffer.slice(0, 1024));
+    charset = (head.match(/<meta[^>]+charset=["']?([^;"'\s>\/]+)/i) || [])[1];
+  }
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(buffer);
+  }
+  catch(_error) { // unknown charset
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+}
+
+async function reloadContentParams(tab) {
+  log('DiscardedTab: loading temporarily ', tab.id, tab.url);
+  const waiter = waitUntilLoaded(tab.id);
+  try {
+    try {
+      await browser.tabs.reload(tab.id);
+    }
+    catch(error) {
+      waiter.cancel();
+      throw error;
+    }
+    await waiter.loaded;
+    const results = await WorkerPool.withTimeout(browser.tabs.executeScript(tab.id, {
+      code: ContentText.SCRIPT
+    }), configs.contentTimeout);
+    return (Array.isArray(results) ? results[0] : results) || null;
+  }
+  finally {
+    // The tab may be activated by the user while loading.
+    const loadedTab = await browser.tabs.get(tab.id).catch(_error => null);
+    if (loadedTab &&
+        !loadedTab.active &&
+        !loadedTab.discarded)
+      await browser.tabs.discard(tab.id).catch(error => log('DiscardedTab: failed to discard ', tab.id, error));
+  }
+}
+
+// Returns a promise resolved when the tab is loaded, and a function to stop
+// waiting without any result.
+function waitUntilLoaded(tabId) {
+  let finish;
+  const loaded = new Promise((resolve, reject) => {
+    function onUpdated(updatedTabId, changeInfo) {
+      if (updatedTabId != tabId ||
+          changeInfo.status != 'complete')
+        return;
+      finish();
+      resolve();
+    }
+    function onRemoved(removedTabId) {
+      if (removedTabId != tabId)
+        return;
+      finish();
+      reject(new Error(`tab ${tabId} is closed while loading`));
+    }
+    const timer = setTimeout(() => {
+      finish();
+      reject(new Error(`timeout: tab ${tabId} is not loaded`));
+    }, configs.contentTimeout);
+    finish = () => {
+      clearTimeout(timer);
+      browser.tabs.onUpdated.removeListener(onUpdated);
+      browser.tabs.onRemoved.removeListener(onRemoved);
+    };
+    browser.tabs.onUpdated.addListener(onUpdated);
+    browser.tabs.onRemoved.addListener(onRemoved);
+  });
+  return {
+    loaded,
+    cancel: () => finish(),
+  };
+}
@@ -0,0 +1,81 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+import {
+  log,
+  configs
+} from './common.js';
+import * as WorkerPool from './worker-pool.js';
+
+// Converts favicons to "data:" URIs, to embed them into rich texts.
+// This must run in the background page: favicons of privileged pages like
+// "about:" pages are available only via favIconUrl of tabs.
+
+const kMAX_CACHE_SIZE = 500;
+
+// Promises of conversions, from the oldest to the newest.
+const mCache = new Map();
+
+export function toDataURI(url, { size = 16 } = {}) {
+  const key = `${size}:${url}`;
+  let promise = mCache.get(key);
+  if (promise) {
+    // refresh the position in the cache
+    mCache.delete(key);
+  }
+  else {
+    // A broken image must not block the whole rendering.
+    promise = WorkerPool.withTimeout(convert(url, size), configs.contentTimeout).catch(error => {
+      mCache.delete(key);
+      throw error;
+    });
+  }
+  mCache.set(key, promise);
+  while (mCache.size > kMAX_CACHE_SIZE) {
+    mCache.delete(mCache.keys().next().value);
+  }
+  return promise;
+}
+
+async function convert(url, size) {
+  log('Favicon: converting ', url);
+  // fetch() cannot load privileged URLs like "chrome://branding/content/icon32.png"
+  // used by "about:" pages, but image elements can.
+  if (/^(chrome|resource):/i.test(url))
+    return draw(await loadImage(url), size);
+
+  const response = await fetch(url);
+  if (!response.ok)
+    throw new Error(`failed to load favicon ${url}: ${response.status}`);
+  // An image element is used instead of createImageBitmap(), to load SVG favicons.
+  const blobUrl = URL.createObjectURL(await response.blob());
+  try {
+    return draw(await loadImage(blobUrl), size);
+  }
+  finally {
+    URL.revokeObjectURL(blobUrl);
+  }
+}
+
+function draw(image, size) {
+  const canvas = document.createElement('canvas');
+  canvas.width  = size;
+  canvas.height = size;
+  const context = canvas.getContext('2d');
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(image, 0, 0, size, size);
+  return canvas.toDataURL('image/png');
+}
+
+function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.addEventListener('load', () => resolve(image), { once: true });
+    image.addEventListener('error', () => reject(new Error(`failed to decode favicon ${url}`)), { once: true });
+    image.src = url;
+  });
+}
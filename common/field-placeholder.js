@@ -0,0 +1,198 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+/*
+Fills field placeholders like `%TITLE%` with modifiers, for example:
+
+  %TITLE|truncate(60)|md%
+  => The title truncated to 60 characters, and escaped for Markdown.
+
+Modifiers are applied from left to right. Legacy suffixes like `_HTML` and
+`_MD` are also available as aliases of modifiers: `%TITLE_MD%` is same to
+`%TITLE|md%`.
+*/
+
+export class FieldPlaceHolderError extends Error {
+  constructor(...args) {
+    super(...args);
+  }
+}
+
+export function sanitizeHtmlText(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+export function sanitizeMdText(text) {
+  return text.replace(/[-!"#$%&'()*+,./:;<=>?@^_`{|}~\[\\\]]/g, '\\$&');
+}
+
+export function sanitizeMdLinkTitleText(text) {
+  return text.replace(/["'()&\\]/g, '\\$&');
+}
+
+const modifiers = new Map();
+
+// Modifiers receive the current value and arguments as strings, and must return a string.
+export function registerModifier(name, modifier) {
+  modifiers.set(name.toLowerCase(), modifier);
+}
+
+registerModifier('html',          value => sanitizeHtmlText(value));
+registerModifier('htmlified',     value => sanitizeHtmlText(value));
+registerModifier('md',            value => sanitizeMdText(value));
+registerModifier('md_link_title', value => sanitizeMdLinkTitleText(value));
+registerModifier('urlencode',     value => encodeURIComponent(value));
+registerModifier('urldecode',     value => {
+  try {
+    return decodeURIComponent(value);
+  }
+  catch(_error) {
+    return value;
+  }
+});
+registerModifier('upper',         value => value.toUpperCase());
+registerModifier('lower',         value => value.toLowerCase());
+registerModifier('trim',          value => value.trim());
+registerModifier('default',       (value, fallback = '') => value || fallback);
+registerModifier('csv',           value => `"${value.replace(/"/g, '""')}"`);
+registerModifier('json',          value => JSON.stringify(value));
+registerModifier('truncate',      (value, length, ellipsis = '…') => {
+  const maxLength = parseInt(length);
+  if (isNaN(maxLength))
+    throw new FieldPlaceHolderError(`Invalid length "${length}" for the modifier "truncate", it must be a number`);
+  const characters = [...value];
+  if (characters.length <= maxLength)
+    return value;
+  const ellipsisLength = [...ellipsis].length;
+  return characters.slice(0, Math.max(0, maxLength - ellipsisLength)).join('') + ellipsis;
+});
+
+// Longer suffixes must be placed before shorter ones.
+export const SUFFIX_ALIASES = [
+  ['_HTMLIFIED',     'html'],
+  ['_HTML',          'html'],
+  ['_MD_LINK_TITLE', 'md_link_title'],
+  ['_MD',            'md'],
+];
+
+const QUOTED_ARGUMENT = `"(?:[^"\\\\]|\\\\.)*"|'(?:[^'\\\\]|\\\\.)*'`;
+const MODIFIER        = `\\|[a-z_][a-z0-9_]*(?:\\((?:${QUOTED_ARGUMENT}|[^()"'%])*\\))?`;
+const PLACEHOLDER_MATCHER = new RegExp(`%([a-z][a-z0-9_]*)((?:${MODIFIER})*)%`, 'gi');
+const MODIFIER_MATCHER    = new RegExp(`\\|([a-z_][a-z0-9_]*)(?:\\(((?:${QUOTED_ARGUMENT}|[^()"'%])*)\\))?`, 'gi');
+const ARGUMENT_MATCHER    = new RegExp(`\\s*(${QUOTED_ARGUMENT}|[^,]*?)\\s*(?:,|$)`, 'g');
+
+// Modifiers are applied only to the value, and the suffix is appended after that
+// if the value is not blank. This is for legacy fields like `%CONTAINER_NAME%`
+// filled like "Work: ", while `%CONTAINER_NAME_MD%` must not escape ": ".
+class SuffixedValue {
+  constructor(value, suffix) {
+    this.value  = value;
+    this.suffix = suffix;
+  }
+}
+
+export function withSuffix(value, suffix) {
+  return new SuffixedValue(value, suffix);
+}
+
+// `fields` is a map from field names (case-insensitive) to values or functions returning values.
+// Placeholders for unknown fields are left as is.
+export function processAll(input, fields) {
+  const fieldOf = new Map(Object.entries(fields).map(([name, value]) => [name.toUpperCase(), value]));
+  let output = '';
+  let lastIndex = 0;
+  PLACEHOLDER_MATCHER.lastIndex = 0;
+  let matched;
+  while ((matched = PLACEHOLDER_MATCHER.exec(input))) {
+    const [placeholder, name, modifiersPart] = matched;
+    const resolved = resolveField(name.toUpperCase(), fieldOf);
+    if (!resolved) {
+      // retry from the next character, because the closing "%" can be the opening of another placeholder.
+      PLACEHOLDER_MATCHER.lastIndex = matched.index + 1;
+      continue;
+    }
+    let value = typeof resolved.value == 'function' ? resolved.value() : resolved.value;
+    let suffix = '';
+    if (value instanceof SuffixedValue) {
+      suffix = value.suffix;
+      value = value.value;
+    }
+    value = value === null || value === undefined ? '' : String(value);
+    value = applyModifiers(value, modifiersPart, { aliases: resolved.modifiers, placeholder });
+    output += input.substring(lastIndex, matched.index) + value + (value ? suffix : '');
+    lastIndex = PLACEHOLDER_MATCHER.lastIndex;
+  }
+  return output + input.substring(lastIndex);
+}
+
+// Applies modifiers like `|truncate(60)|md` to the value, after modifiers
+// given as aliases. This is also used for results of functional placeholders
+// like `%META("og:site_name")|md%`.
+export function applyModifiers(value, modifiersPart, { aliases = [], placeholder = '' } = {}) {
+  for (const [modifierName, args] of [...aliases.map(name => [name, []]), ...parseModifiers(modifiersPart || '')]) {
+    const modifier = modifiers.get(modifierName.toLowerCase());
+    if (!modifier)
+      throw new FieldPlaceHolderError(`Unknown modifier "${modifierName}" in "${placeholder}"`);
+    value = String(modifier(value, ...args));
+  }
+  return value;
+}
+
+const MODIFIERS_MATCHER = new RegExp(`^(?:${MODIFIER})+(?=%)`, 'i');
+
+// Returns modifiers like `|trim|md` at the beginning of the input, only when
+// they are terminated with "%". Otherwise this returns null.
+export function matchModifiers(input) {
+  const matched = input.match(MODIFIERS_MATCHER);
+  return matched ? matched[0] : null;
+}
+
+function resolveField(name, fieldOf) {
+  if (fieldOf.has(name))
+    return { value: fieldOf.get(name), modifiers: [] };
+  for (const [suffix, modifier] of SUFFIX_ALIASES) {
+    if (!name.endsWith(suffix))
+      continue;
+    const resolved = resolveField(name.slice(0, -suffix.length), fieldOf);
+    if (resolved)
+      return { value: resolved.value, modifiers: [...resolved.modifiers, modifier] };
+  }
+  return null;
+}
+
+function parseModifiers(source) {
+  const parsed = [];
+  MODIFIER_MATCHER.lastIndex = 0;
+  let matched;
+  while ((matched = MODIFIER_MATCHER.exec(source))) {
+    const [, name, args] = matched;
+    parsed.push([name, args === undefined ? [] : parseArguments(args)]);
+  }
+  return parsed;
+}
+
+function parseArguments(source) {
+  const args = [];
+  if (source.trim() == '')
+    return args;
+  ARGUMENT_MATCHER.lastIndex = 0;
+  let matched;
+  while ((matched = ARGUMENT_MATCHER.exec(source))) {
+    const arg = matched[1];
+    if (/^["']/.test(arg))
+      args.push(arg.slice(1, -1).replace(/\\(.)/g, '$1'));
+    else
+      args.push(arg);
+    if (ARGUMENT_MATCHER.lastIndex >= source.length)
+      break;
+  }
+  return args;
+}
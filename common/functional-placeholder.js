@@ -5,30 +5,53 @@
 */
 'use strict';
 
+import * as FieldPlaceHolder from './field-placeholder.js';
+
+/*
+Results of functional placeholders also accept modifiers and suffix aliases
+same as field placeholders, like `%META("og:site_name")|truncate(30)|md%` and
+`%META_MD("og:site_name")%`.
+*/
+
 export class FunctionalPlaceHolderError extends Error {
   constructor(...args) {
     super(...args);
   }
 }
 
-export function processAll(input, filters) {
+// Results of filters can contain texts from pages, like `%META("description")%`.
+// If `fillOthers` is given, it receives the input with results of filters
+// protected by tokens, to fill other placeholders without processing results
+// of filters again. Then tokens are replaced with actual results.
+export function processAll(input, filters, fillOthers = null) {
+  const results = [];
+  const wrap = fillOthers ?
+    result => `\x00${results.push(result) - 1}\x00` :
+    result => result;
   for (const [name, filter] of Object.entries(filters)) {
-    input = processAllInternal({ input, name, filter });
+    input = processAllInternal({ input, name, filter, wrap });
   }
-  return input;
+  if (!fillOthers)
+    return input;
+  return fillOthers(input).replace(/\x00(\d+)\x00/g, (_matched, index) => results[index]);
 }
 
-function processAllInternal({ name, filter, input }) {
+function processAllInternal({ name, filter, input, wrap }) {
   let output = '';
-  const startMatcher = new RegExp(`%${name}\\(`, 'i');
-  const prefixSize = name.length + 2;
+  const suffixes = FieldPlaceHolder.SUFFIX_ALIASES.map(([suffix]) => suffix).join('|');
+  const startMatcher = new RegExp(`%${name}(${suffixes})?\\(`, 'i');
   while (true) {
-    const index = input.search(startMatcher);
-    if (index < 0) {
+    const matched = input.match(startMatcher);
+    if (!matched) {
       output += input;
       break;
     }
 
+    const index = matched.index;
+    const prefixSize = matched[0].length;
+    const aliases = matched[1] ?
+      [FieldPlaceHolder.SUFFIX_ALIASES.find(([suffix]) => suffix == matched[1].toUpperCase())[1]] :
+      [];
     output += input.substring(0, index);
     const prefix = input.substring(index, index + prefixSize);
     input = input.substring(index + prefixSize);
@@ -40,6 +63,11 @@ function processAllInternal({ name, filter, input }) {
     let count = 0;
     let args = [];
     let rawArgs = '';
+    const fill = (args, modifiers = '') => FieldPlaceHolder.applyModifiers(
+      String(filter(...args) ?? ''),
+      modifiers,
+      { aliases, placeholder: `${prefix}${rawArgs})${modifiers}%` }
+    );
     parse:
     for (const character of input) {
       //console.log({character, lastToken, pendingChar, inSingleQuoteString, inDoubleQuoteString, count});
@@ -50,7 +78,7 @@ function processAllInternal({ name, filter, input }) {
               pendingChar == ')') {
             if (args.length > 0 || lastToken != '')
               args.push(lastToken);
-            output += filter(...args);
+            output += wrap(fill(args));
             input = input.substring(count + 1);
             lastToken    = '';
             args         = [];
@@ -137,6 +165,25 @@ function processAllInternal({ name, filter, input }) {
           pendingChar = '';
           break;
 
+        case '|': {
+          // modifiers after the close paren, like `%META("name")|md%`
+          const modifiers = !inSingleQuoteString &&
+            !inDoubleQuoteString &&
+            pendingChar == ')' &&
+            FieldPlaceHolder.matchModifiers(input.substring(count));
+          if (modifiers) {
+            if (args.length > 0 || lastToken != '')
+              args.push(lastToken);
+            output += wrap(fill(args, modifiers));
+            input = input.substring(count + modifiers.length + 1);
+            lastToken    = '';
+            args         = [];
+            rawArgs      = '';
+            break parse;
+          }
+        }
+        // falls through
+
         default:
           if (inSingleQuoteString || inDoubleQuoteString) {
             lastToken += pendingChar + character;
@@ -5,7 +5,10 @@
 */
 'use strict';
 
-(() => {
+// This function is executed in content pages via its source code, and also
+// for documents fetched by the background page. Thus it must not refer
+// anything outside of it.
+export function getContentText(document) {
   try {
     function getMetaInfo(document, name) {
       const upperCase = name.toUpperCase();
@@ -24,10 +27,112 @@
     const author = getMetaInfo(document, 'author') || getMetaInfo(document, 'twitter:author') || getMetaInfo(document, 'twitter:site') || '';
     const description = getMetaInfo(document, 'description') || getMetaInfo(document, `${OGPPrefix}:description`) || '';
     const keywords = getMetaInfo(document, 'keywords') || '';
+
+    // All metadata are collected at once for %META(...)%, with lower-cased
+    // names. The first one wins for duplicated names, and OGP properties are
+    // also available with the regular prefix "og:".
+    const metas = {};
+    for (const meta of document.querySelectorAll('meta[content]')) {
+      const content = meta.getAttribute('content');
+      for (const attribute of ['name', 'property']) {
+        const name = (meta.getAttribute(attribute) || '').trim().toLowerCase();
+        if (!name)
+          continue;
+        if (!(name in metas))
+          metas[name] = content;
+        const ogpName = name.replace(new RegExp(`^${OGPPrefix.toLowerCase()}:`), 'og:');
+        if (!(ogpName in metas))
+          metas[ogpName] = content;
+      }
+    }
+
+    const getLinkHref = rel => {
+      const link = document.querySelector(`link[rel~="${rel}" i][href]`);
+      return link && /^https?:/i.test(link.href) ? link.href : '';
+    };
+    const canonicalUrl = getLinkHref('canonical');
+    const shortUrl = getLinkHref('shortlink');
+
+    // Only the first schema.org item with article-like properties is used.
+    const collectItems = data => {
+      if (Array.isArray(data))
+        return data.map(collectItems).flat();
+      if (!data || typeof data != 'object')
+        return [];
+      return [data, ...collectItems(data['@graph'])];
+    };
+    const getName = value => {
+      if (Array.isArray(value))
+        return value.map(getName).filter(name => !!name).join(', ');
+      return (value && typeof value == 'object') ? (value.name || '') : (value || '');
+    };
+    let structuredData = {};
+    findStructuredData:
+    for (const script of document.querySelectorAll('script[type="application/ld+json" i]')) {
+      let data;
+      try {
+        data = JSON.parse(script.textContent);
+      }
+      catch(_error) {
+        continue;
+      }
+      for (const item of collectItems(data)) {
+        if (!item.headline && !item.datePublished)
+          continue;
+        structuredData = {
+          headline:      String(item.headline || ''),
+          publishedDate: String(item.datePublished || ''),
+          author:        String(getName(item.author)),
+          publisher:     String(getName(item.publisher)),
+        };
+        break findStructuredData;
+      }
+    }
+
+    // Text fields don't expose their selection via window.getSelection(),
+    // so we need to read it from the focused field directly.
+    // Password fields are never read, same as browsers never allow to copy them.
+    const field = document.activeElement;
+    const isTextField = field && (
+      field.localName == 'textarea' ||
+      (field.localName == 'input' &&
+       /^(?:text|search|url|tel|email)?$/i.test(field.type || ''))
+    );
+    let selection = '';
+    let selectionSource = '';
+    if (isTextField &&
+        typeof field.selectionStart == 'number' &&
+        field.selectionStart != field.selectionEnd) {
+      selection = field.value.substring(field.selectionStart, field.selectionEnd);
+      selectionSource = selection
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+    }
+    else {
+      const windowSelection = document.defaultView && document.defaultView.getSelection();
+      if (windowSelection && !windowSelection.isCollapsed) {
+        selection = windowSelection.toString();
+        const container = document.createElement('div');
+        for (let i = 0, maxi = windowSelection.rangeCount; i < maxi; i++) {
+          container.appendChild(windowSelection.getRangeAt(i).cloneContents());
+        }
+        selectionSource = container.innerHTML;
+      }
+    }
+
     return {
-      author,
+      author:        author || structuredData.author || '',
       description,
-      keywords
+      keywords,
+      metas,
+      canonicalUrl,
+      shortUrl,
+      headline:      structuredData.headline || getMetaInfo(document, `${OGPPrefix}:title`) || '',
+      publishedDate: structuredData.publishedDate || getMetaInfo(document, 'article:published_time') || '',
+      publisher:     structuredData.publisher || getMetaInfo(document, `${OGPPrefix}:site_name`) || '',
+      selection,
+      selectionSource
     };
   }
   catch(e) {
@@ -35,4 +140,7 @@
       error: String(e)
     };
   }
-})();
+}
+
+// The code to be injected with tabs.executeScript().
+export const SCRIPT = `(${getContentText.toString()})(document);`;
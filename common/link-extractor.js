@@ -0,0 +1,114 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+// [[url][title]] or [[url]] (Org mode),
+// [title](url "link title") (Markdown),
+// <url>, or a bare URL.
+const kLINK_MATCHER = /\[\[([^\]\s]+)\](?:\[((?:[^\]]|\](?!\]))*)\])?\]|\[((?:\\.|[^\]\\])*)\]\(\s*<?([a-z][-a-z0-9+.]*:[^\s)>]+)>?(?:\s+(?:"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'))?\s*\)|<([a-z][-a-z0-9+.]*:\/\/[^\s>]+)>|\b([a-z][-a-z0-9+.]*:\/\/[^\s<>"'\]\[]+)/gi;
+const kURL_MATCHER  = /^[a-z][-a-z0-9+.]*:/i;
+
+export function extractLinksFromText(text) {
+  const links = [];
+  const indentWidths = [];
+  let lastTextLine = '';
+  for (const line of text.split(/\r\n?|\n/)) {
+    const matchedLinks = [...line.matchAll(kLINK_MATCHER)];
+    if (matchedLinks.length == 0) {
+      lastTextLine = line.trim();
+      continue;
+    }
+
+    // "* " is also a bullet of Markdown, so only lines starting with Org mode
+    // links are treated as headings.
+    const orgHeading = line.match(/^(\*+)\s+\[\[/);
+    const indentWidth = orgHeading ?
+      orgHeading[1].length - 1 :
+      line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+    while (indentWidths.length > 0 &&
+           indentWidths[indentWidths.length - 1] > indentWidth) {
+      indentWidths.pop();
+    }
+    if (indentWidths.length == 0 ||
+        indentWidths[indentWidths.length - 1] < indentWidth)
+      indentWidths.push(indentWidth);
+    const level = indentWidths.length - 1;
+
+    let bareLine = line.replace(kLINK_MATCHER, '').replace(/^\s*(?:\*+|[-+]|\d+[.)])?\s*/, '').trim();
+    if (!/[\p{L}\p{N}]/u.test(bareLine))
+      bareLine = '';
+    for (const matched of matchedLinks) {
+      const [, orgUrl, orgTitle, mdTitle, mdUrl, bracedUrl, bareUrl] = matched;
+      const url = orgUrl || mdUrl || bracedUrl || trimTrailingPunctuations(bareUrl);
+      const title = (
+        orgTitle ||
+        (mdTitle && mdTitle.replace(/\\(.)/g, '$1')) ||
+        bareLine ||
+        lastTextLine ||
+        ''
+      );
+      links.push({ url, title, level });
+    }
+    lastTextLine = '';
+  }
+  return links;
+}
+
+export function extractLinksFromHTML(html) {
+  const links = [];
+  let listDepth = 0;
+  const matcher = /<(\/?)(ul|ol|a)\b([^>]*)>/gi;
+  let matched;
+  while ((matched = matcher.exec(html))) {
+    const [, closing, localName, attributes] = matched;
+    if (localName.toLowerCase() != 'a') {
+      listDepth = Math.max(0, listDepth + (closing ? -1 : 1));
+      continue;
+    }
+    if (closing)
+      continue;
+
+    const href = attributes.match(/\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/i);
+    if (!href)
+      continue;
+    const url = decodeEntities(href[1] || href[2] || href[3] || '').trim();
+    if (!kURL_MATCHER.test(url) ||
+        /^javascript:/i.test(url))
+      continue;
+
+    const closeIndex = html.toLowerCase().indexOf('</a>', matcher.lastIndex);
+    const contents = closeIndex < 0 ? '' : html.substring(matcher.lastIndex, closeIndex);
+    const title = decodeEntities(contents.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+    links.push({
+      url,
+      title,
+      level: Math.max(0, listDepth - 1)
+    });
+  }
+  return links;
+}
+
+// "(see https://example.com/)." => "https://example.com/"
+function trimTrailingPunctuations(url) {
+  url = url.replace(/[.,;:!?]+$/, '');
+  while (url.endsWith(')') &&
+         url.split(')').length > url.split('(').length) {
+    url = url.slice(0, -1).replace(/[.,;:!?]+$/, '');
+  }
+  return url;
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_matched, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&#([0-9]+);/g, (_matched, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
@@ -9,7 +9,9 @@ import {
   configs
 } from './common.js';
 
-export const ALL_URLS = { origins: ['<all_urls>'] };
+export const ALL_URLS       = { origins: ['<all_urls>'] };
+export const CLIPBOARD_READ = { permissions: ['clipboardRead'] };
+export const DOWNLOADS      = { permissions: ['downloads'] };
 
 export function clearRequest() {
   configs.requestingPermissions = null;
@@ -24,6 +26,21 @@ export function isGranted(permissions) {
   }
 }
 
+// This must be called while handling user actions like shortcuts, before any
+// "await". The returned promise is resolved with false on any error.
+export function request(permissions) {
+  try {
+    return browser.permissions.request(permissions).catch(error => {
+      console.log(error);
+      return false;
+    });
+  }
+  catch(error) {
+    console.log(error);
+    return Promise.resolve(false);
+  }
+}
+
 export function bindToCheckbox(permissions, checkbox, options = {}) {
   isGranted(permissions)
     .then(granted => {
@@ -89,6 +106,10 @@ export function bindToCheckbox(permissions, checkbox, options = {}) {
 export function isPermittedTab(tab) {
   if (tab.discarded)
     return false;
-  return /^about:blank($|\?|#)/.test(tab.url) ||
-         !/^(about|resource|chrome|file|view-source):/.test(tab.url);
+  return isPermittedUrl(tab.url);
+}
+
+export function isPermittedUrl(url) {
+  return /^about:blank($|\?|#)/.test(url) ||
+         !/^(about|resource|chrome|file|view-source):/.test(url);
 }
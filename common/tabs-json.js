@@ -0,0 +1,36 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+/*
+Serializes tree nodes (see also `buildTree()` in tree.js) to a JSON text.
+Every tab is always serialized with same set of properties, so scripts can
+consume the result safely: missing values are represented as `null`.
+*/
+
+export function serialize(roots, { metaOf = () => null, lineFeed = '\n' } = {}) {
+  const json = JSON.stringify(roots.map(node => nodeToJSON(node, metaOf)), null, 2);
+  return json.replace(/\n/g, lineFeed) + lineFeed;
+}
+
+function nodeToJSON({ tab, children }, metaOf) {
+  const meta = metaOf(tab) || {};
+  return {
+    title:        tab.title || '',
+    url:          tab.url || '',
+    container:    tab.container || null,
+    pinned:       !!tab.pinned,
+    index:        tab.index ?? null,
+    windowId:     tab.windowId ?? null,
+    lastAccessed: typeof tab.lastAccessed == 'number' ? tab.lastAccessed : null,
+    meta: {
+      author:      meta.author || null,
+      description: meta.description || null,
+      keywords:    meta.keywords || null
+    },
+    children: children.map(child => nodeToJSON(child, metaOf))
+  };
+}
@@ -0,0 +1,119 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+// Returns a map from tab id to the list of its ancestor tab ids, nearest
+// ancestor first, based on tree items returned by Tree Style Tab's
+// "get-tree" API.
+export function collectAncestors(treeItems) {
+  const ancestorsOf = {};
+  const collect = (treeItem) => {
+    ancestorsOf[treeItem.id] = ancestorsOf[treeItem.id] || [];
+    for (const child of treeItem.children) {
+      ancestorsOf[child.id] = [treeItem.id].concat(ancestorsOf[treeItem.id]);
+      collect(child);
+    }
+  };
+  for (const treeItem of treeItems) {
+    collect(treeItem);
+  }
+  return ancestorsOf;
+}
+
+// Ancestors not included in the given tabs are ignored, because we should
+// ignore tree structure for partial selection.
+export function getSelectedAncestorIds(tabs, ancestorsOf) {
+  const ids = new Set(tabs.map(tab => tab.id));
+  return tabs.map(tab => (ancestorsOf[tab.id] || []).filter(ancestorId => ids.has(ancestorId)));
+}
+
+export function getIndentLevels(tabs, ancestorsOf) {
+  return getSelectedAncestorIds(tabs, ancestorsOf).map(ancestorIds => ancestorIds.length);
+}
+
+// Builds a list of root nodes like `{ tab, children: [...] }` from a flat
+// list of tabs.
+export function buildTree(tabs, ancestorsOf) {
+  const roots = [];
+  const nodes = new Map();
+  const selectedAncestorIds = getSelectedAncestorIds(tabs, ancestorsOf);
+  tabs.forEach((tab, index) => {
+    const node = { tab, children: [] };
+    nodes.set(tab.id, node);
+    const parent = nodes.get(selectedAncestorIds[index][0]);
+    if (parent)
+      parent.children.push(node);
+    else
+      roots.push(node);
+  });
+  return roots;
+}
+
+// Returns outline information for each tab: the level, the hierarchical
+// number like "2.1.3", the parent tab, and the number of children.
+export function getOutlines(tabs, ancestorsOf) {
+  const outlines = [];
+  const outlineById = new Map();
+  const rootOutline = { number: '', childCount: 0 };
+  const selectedAncestorIds = getSelectedAncestorIds(tabs, ancestorsOf);
+  tabs.forEach((tab, index) => {
+    const parentOutline = outlineById.get(selectedAncestorIds[index][0]);
+    const container = parentOutline || rootOutline;
+    container.childCount++;
+    const outline = {
+      level:      selectedAncestorIds[index].length,
+      number:     container.number ? `${container.number}.${container.childCount}` : String(container.childCount),
+      parent:     parentOutline ? parentOutline.tab : null,
+      childCount: 0,
+      tab,
+    };
+    outlines.push(outline);
+    outlineById.set(tab.id, outline);
+  });
+  return outlines.map(({ level, number, parent, childCount }) => ({ level, number, parent, childCount }));
+}
+
+// Renders tree nodes as nested HTML lists like
+// `<ul><li>parent<ul><li>child</li></ul></li></ul>`.
+// `renderItem` must return an HTML fragment for the given tab.
+export function renderNestedList(roots, renderItem, { listTag = 'ul' } = {}) {
+  if (roots.length == 0)
+    return '';
+  const items = roots.map(node => `<li>${renderItem(node.tab)}${renderNestedList(node.children, renderItem, { listTag })}</li>`);
+  return `<${listTag}>${items.join('')}</${listTag}>`;
+}
+
+// Builds tree items compatible to Tree Style Tab's "get-tree" API from
+// `openerTabId` of tabs in a window, for environments without Tree Style Tab.
+// A tab is attached to its opener only when all tabs between them are also
+// descendants of the opener, so subtrees are always contiguous like TST.
+export function buildTreeItemsFromOpeners(tabs) {
+  const roots = [];
+  const lastAncestors = [];
+  for (const tab of tabs.slice(0).sort((a, b) => a.index - b.index)) {
+    const treeItem = { id: tab.id, windowId: tab.windowId, children: [] };
+    const parentIndex = tab.openerTabId === undefined ?
+      -1 :
+      lastAncestors.findIndex(ancestor => ancestor.id == tab.openerTabId);
+    if (parentIndex > -1)
+      lastAncestors[parentIndex].children.push(treeItem);
+    else
+      roots.push(treeItem);
+    lastAncestors.splice(parentIndex + 1, lastAncestors.length, treeItem);
+  }
+  return roots;
+}
+
+export function findTreeItem(treeItems, id) {
+  for (const treeItem of treeItems) {
+    if (treeItem.id == id)
+      return treeItem;
+    const found = findTreeItem(treeItem.children, id);
+    if (found)
+      return found;
+  }
+  return null;
+}
@@ -0,0 +1,126 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+/*
+Removes tracking parameters from URLs based on rules like:
+
+  # comment
+  utm_*
+  amazon.*: ref, pf_rd_*
+
+A line without ":" is a global rule: a parameter name removed for all sites.
+A line with ":" is a per-site rule: parameter names (delimited with ",")
+removed only for the host. Host names also match to their subdomains.
+"*" in host names and parameter names matches to any string.
+*/
+
+export const DEFAULT_RULES = `
+# Parameters removed for all sites
+utm_*
+fbclid
+gclid
+dclid
+gbraid
+wbraid
+msclkid
+yclid
+twclid
+ttclid
+igshid
+mc_cid
+mc_eid
+_ga
+_gl
+_hsenc
+_hsmi
+__hssc
+__hstc
+__hsfp
+mkt_tok
+li_fat_id
+oly_anon_id
+oly_enc_id
+vero_id
+wickedid
+s_cid
+
+# Parameters removed only for specific sites
+amazon.*: ref, ref_, pf_rd_*, pd_rd_*, psc, qid, sr, crid, sprefix, content-id, _encoding
+youtube.com: si, feature, pp
+youtu.be: si, feature
+twitter.com: s, t, ref_src, ref_url
+x.com: s, t
+`.trim();
+
+export function parseRules(text) {
+  const rules = [];
+  for (let line of (text || '').split(/\r?\n/)) {
+    line = line.replace(/#.*$/, '').trim();
+    if (!line)
+      continue;
+    const delimiterIndex = line.indexOf(':');
+    const host = delimiterIndex > -1 ? line.substring(0, delimiterIndex).trim() : null;
+    const params = (delimiterIndex > -1 ? line.substring(delimiterIndex + 1) : line)
+      .split(',')
+      .map(param => param.trim())
+      .filter(param => !!param);
+    if (params.length == 0)
+      continue;
+    rules.push({
+      host:   host && new RegExp(`^(?:.+\\.)?${globToRegExpSource(host)}$`, 'i'),
+      params: params.map(param => new RegExp(`^${globToRegExpSource(param)}$`, 'i'))
+    });
+  }
+  return rules;
+}
+
+function globToRegExpSource(glob) {
+  return glob
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*');
+}
+
+// The query part is processed as a raw string, so remaining parameters are
+// kept as is without any re-encoding.
+export function cleanUrl(url, rules) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  }
+  catch(_error) {
+    return url;
+  }
+  if (!parsed.search)
+    return url;
+
+  const matchers = rules
+    .filter(rule => !rule.host || rule.host.test(parsed.hostname))
+    .map(rule => rule.params)
+    .flat();
+  if (matchers.length == 0)
+    return url;
+
+  const params = parsed.search.substring(1).split('&');
+  const cleanedParams = params.filter(param => {
+    const name = decodeQueryComponent(param.split('=')[0]);
+    return !matchers.some(matcher => matcher.test(name));
+  });
+  if (cleanedParams.length == params.length)
+    return url;
+
+  parsed.search = cleanedParams.length > 0 ? `?${cleanedParams.join('&')}` : '';
+  return parsed.href;
+}
+
+function decodeQueryComponent(component) {
+  try {
+    return decodeURIComponent(component.replace(/\+/g, ' '));
+  }
+  catch(_error) {
+    return component;
+  }
+}
@@ -0,0 +1,158 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+// Returns components of the given URL, parsed with the URL class.
+// All fields are blank for unparsable URLs, except the decoded URL.
+// Host names are kept in ASCII (Punycode) like the URL class, only the decoded
+// URL has Unicode host name.
+export function parse(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  }
+  catch(_error) {
+    return {
+      host:     '',
+      hostname: '',
+      domain:   '',
+      origin:   '',
+      path:     '',
+      hash:     '',
+      decoded:  url,
+    };
+  }
+  return {
+    host:     parsed.host,
+    hostname: parsed.hostname,
+    domain:   guessBaseDomain(parsed.hostname),
+    origin:   parsed.origin == 'null' ? '' : parsed.origin,
+    path:     parsed.pathname,
+    hash:     parsed.hash,
+    decoded:  decode(parsed),
+  };
+}
+
+export function getQueryParam(url, name) {
+  try {
+    return new URL(url).searchParams.get(name) || '';
+  }
+  catch(_error) {
+    return '';
+  }
+}
+
+// Second level labels commonly used under country code TLDs, like "co.uk" and "ne.jp".
+// This is just a heuristics without the complete Public Suffix List.
+const SECOND_LEVEL_LABELS = new Set(['ac', 'co', 'com', 'ed', 'edu', 'go', 'gov', 'gr', 'lg', 'ltd', 'mil', 'ne', 'net', 'nom', 'or', 'org', 'plc', 'sch']);
+
+// Guesses the base domain of the host name, like "example.co.uk" for
+// "www.example.co.uk". This is not the registrable domain based on the Public
+// Suffix List: suffixes like "github.io" and "blogspot.com" are not known, so
+// "user.github.io" becomes "github.io".
+export function guessBaseDomain(hostname) {
+  if (!hostname ||
+      /^\[.*\]$/.test(hostname) || // IPv6
+      /^[0-9.]+$/.test(hostname)) // IPv4
+    return hostname;
+  const labels = hostname.replace(/\.$/, '').split('.');
+  if (labels.length <= 2)
+    return labels.join('.');
+  const [secondLevel, topLevel] = labels.slice(-2);
+  const count = topLevel.length == 2 && SECOND_LEVEL_LABELS.has(secondLevel) ? 3 : 2;
+  return labels.slice(-count).join('.');
+}
+
+function decode(parsed) {
+  const hostname = toUnicodeHostname(parsed.hostname);
+  const url = hostname == parsed.hostname ?
+    parsed.href :
+    parsed.href.replace(parsed.hostname, hostname);
+  try {
+    // Reserved characters like "%2F" are kept encoded by decodeURI().
+    return decodeURI(url);
+  }
+  catch(_error) {
+    return url;
+  }
+}
+
+export function toUnicodeHostname(hostname) {
+  return hostname.split('.').map(label => {
+    if (!/^xn--/i.test(label))
+      return label;
+    try {
+      return decodePunycode(label.substring(4).toLowerCase());
+    }
+    catch(_error) {
+      return label;
+    }
+  }).join('.');
+}
+
+
+// Punycode decoder based on RFC 3492.
+
+const BASE         = 36;
+const TMIN         = 1;
+const TMAX         = 26;
+const SKEW         = 38;
+const DAMP         = 700;
+const INITIAL_BIAS = 72;
+const INITIAL_N    = 128;
+
+function adapt(delta, numPoints, firstTime) {
+  delta = firstTime ? Math.floor(delta / DAMP) : delta >> 1;
+  delta += Math.floor(delta / numPoints);
+  let k = 0;
+  while (delta > ((BASE - TMIN) * TMAX) >> 1) {
+    delta = Math.floor(delta / (BASE - TMIN));
+    k += BASE;
+  }
+  return k + Math.floor((BASE - TMIN + 1) * delta / (delta + SKEW));
+}
+
+function decodeDigit(codePoint) {
+  if (codePoint >= 0x30 && codePoint <= 0x39) // 0-9
+    return codePoint - 22;
+  if (codePoint >= 0x41 && codePoint <= 0x5A) // A-Z
+    return codePoint - 0x41;
+  if (codePoint >= 0x61 && codePoint <= 0x7A) // a-z
+    return codePoint - 0x61;
+  return BASE;
+}
+
+function decodePunycode(input) {
+  const output = [];
+  const basicLength = Math.max(0, input.lastIndexOf('-'));
+  for (let i = 0; i < basicLength; i++) {
+    output.push(input.charCodeAt(i));
+  }
+
+  let n    = INITIAL_N;
+  let bias = INITIAL_BIAS;
+  let i    = 0;
+  for (let index = basicLength > 0 ? basicLength + 1 : 0; index < input.length;) {
+    const oldI = i;
+    for (let w = 1, k = BASE; ; k += BASE) {
+      if (index >= input.length)
+        throw new Error(`invalid punycode: ${input}`);
+      const digit = decodeDigit(input.charCodeAt(index++));
+      if (digit >= BASE)
+        throw new Error(`invalid punycode: ${input}`);
+      i += digit * w;
+      const t = k <= bias ? TMIN : k >= bias + TMAX ? TMAX : k - bias;
+      if (digit < t)
+        break;
+      w *= BASE - t;
+    }
+    bias = adapt(i - oldI, output.length + 1, oldI == 0);
+    n += Math.floor(i / (output.length + 1));
+    i %= output.length + 1;
+    output.splice(i++, 0, n);
+  }
+  return String.fromCodePoint(...output);
+}
@@ -0,0 +1,71 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+export class CancelledError extends Error {
+  constructor(...args) {
+    super(...args);
+  }
+}
+
+export class TimeoutError extends Error {
+  constructor(...args) {
+    super(...args);
+  }
+}
+
+// Runs the worker for each item with limited concurrency, and returns results
+// in the same order as items. When the signal is aborted, this rejects with
+// CancelledError immediately, without waiting running workers.
+export async function map(items, worker, { concurrency = 8, signal = null, onProgress = null } = {}) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let doneCount = 0;
+  let stopped = false;
+  const run = async () => {
+    while (!stopped && nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+      doneCount++;
+      if (onProgress && !stopped)
+        onProgress(doneCount, items.length);
+    }
+  };
+  const workers = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, run);
+  const completed = Promise.all(workers);
+  let onAbort;
+  const cancelled = signal && new Promise((_resolve, reject) => {
+    onAbort = () => reject(new CancelledError('cancelled'));
+    if (signal.aborted)
+      onAbort();
+    else
+      signal.addEventListener('abort', onAbort, { once: true });
+  });
+  try {
+    await (cancelled ? Promise.race([completed, cancelled]) : completed);
+  }
+  finally {
+    stopped = true;
+    // The signal can be shared by multiple maps.
+    if (signal)
+      signal.removeEventListener('abort', onAbort);
+  }
+  return results;
+}
+
+// Rejects with TimeoutError if the given promise is not settled in time.
+// Zero or negative timeout means no timeout.
+export function withTimeout(promise, timeout) {
+  if (!(timeout > 0))
+    return promise;
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_resolve, reject) => {
+      timer = setTimeout(() => reject(new TimeoutError(`timed out after ${timeout}ms`)), timeout);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
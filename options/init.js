@@ -9,6 +9,7 @@ import {
   log,
   configs
 } from '/common/common.js';
+import * as Constants from '/common/constants.js';
 import * as Permissions from '/common/permissions.js';
 import Options from '/extlib/Options.js';
 import { DOMUpdater } from '/extlib/dom-updater.js';
@@ -18,6 +19,7 @@ log.context = 'Options';
 const options = new Options(configs);
 
 let gFormatRows;
+const mExpandedRows = new Set();
 
 function onConfigChanged(key) {
   switch (key) {
@@ -49,6 +51,10 @@ window.addEventListener('DOMContentLoaded', async () => {
     document.querySelector('#copyToClipboardFormatsRestoreDefaults'),
     (_event) => { restoreDefaultFormats(); }
   );
+  addButtonCommandListener(
+    document.querySelector('#cleanUrlRulesRestoreDefaults'),
+    (_event) => { configs.cleanUrlRules = configs.$default.cleanUrlRules; }
+  );
 
   Permissions.bindToCheckbox(
     Permissions.ALL_URLS,
@@ -88,7 +94,7 @@ function getInputFieldFromEvent(event) {
   let target = event.target;
   if (target.nodeType != Node.ELEMENT_NODE)
     target = target.parentNode;
-  return target.localName == 'input' && target;
+  return (target.localName == 'input' || target.localName == 'select') && target;
 }
 
 function onFormatInput(event) {
@@ -108,6 +114,21 @@ function onFormatInput(event) {
       item.format = field.value;
     else if (field.classList.contains('enabled'))
       item.enabled = field.checked;
+    else if (field.classList.contains('type')) {
+      item.type = field.value;
+      for (const templateField of row.querySelectorAll('.template-field')) {
+        templateField.disabled = !isTemplateType(item.type);
+      }
+      row.querySelector('.separator').disabled = !isTemplateType(item.type) || typeof item.separator != 'string';
+    }
+    else if (field.classList.contains('defaultSeparator')) {
+      // A blank separator means "no separator", so the default is stored as null.
+      const separatorField = row.querySelector('.separator');
+      item.separator = field.checked ? null : separatorField.value;
+      separatorField.disabled = field.checked;
+    }
+    else if (field.dataset.key)
+      item[field.dataset.key] = field.type == 'checkbox' ? field.checked : field.value;
     else
       return;
     configs.copyToClipboardFormats = formats;
@@ -160,26 +181,140 @@ function restoreDefaultFormats() {
   rebuildFormatRows();
 }
 
-function createFormatRow({ id, index, label, format, enabled } = {}) {
+function isTemplateType(type) {
+  return !type || type == Constants.kFORMAT_TYPE_TEMPLATE;
+}
+
+const FORMAT_TYPE_LABELS = {
+  [Constants.kFORMAT_TYPE_TEMPLATE]:       'config_copyToClipboardFormats_type_template',
+  [Constants.kFORMAT_TYPE_BOOKMARKS_HTML]: 'config_copyToClipboardFormats_type_bookmarksHTML',
+  [Constants.kFORMAT_TYPE_JSON]:           'config_copyToClipboardFormats_type_json',
+};
+
+const LINE_ENDING_LABELS = {
+  [Constants.kLINE_ENDING_DEFAULT]: 'config_copyToClipboardFormats_lineEnding_default',
+  [Constants.kLINE_ENDING_LF]:      'config_copyToClipboardFormats_lineEnding_lf',
+  [Constants.kLINE_ENDING_CRLF]:    'config_copyToClipboardFormats_lineEnding_crlf',
+};
+
+const TRAILING_NEWLINE_LABELS = {
+  [Constants.kTRAILING_NEWLINE_AUTO]:   'config_copyToClipboardFormats_trailingNewline_auto',
+  [Constants.kTRAILING_NEWLINE_ALWAYS]: 'config_copyToClipboardFormats_trailingNewline_always',
+  [Constants.kTRAILING_NEWLINE_NEVER]:  'config_copyToClipboardFormats_trailingNewline_never',
+};
+
+const RICH_TEXT_LIST_LABELS = {
+  [Constants.kRICH_TEXT_LIST_NONE]: 'config_copyToClipboardFormats_richTextList_none',
+  [Constants.kRICH_TEXT_LIST_UL]:   'config_copyToClipboardFormats_richTextList_ul',
+  [Constants.kRICH_TEXT_LIST_OL]:   'config_copyToClipboardFormats_richTextList_ol',
+};
+
+function createSelectOptions(labels, selectedValue) {
+  return Object.entries(labels).map(([value, key]) => `
+    <option value="${value}"
+            ${value == selectedValue ? 'selected' : ''}
+            >${sanitizeForHTML(browser.i18n.getMessage(key))}</option>
+  `.trim()).join('');
+}
+
+function createFormatRow({ id, index, label, format, enabled, type, extension, mimeType, header, footer, groupHeader, separator, lineEnding, trailingNewline, richTextList, cleanUrls, preferCanonicalUrl } = {}) {
   return `
     <div id="row-${id}"
-         class="row"
-         data-index="${index}">
+         class="row ${mExpandedRows.has(id) ? 'expanded' : ''}"
+         data-index="${index}"
+         data-id="${id}">
       <input type="checkbox"
              class="enabled"
              title="${sanitizeForHTML(browser.i18n.getMessage('config_copyToClipboardFormats_enabled'))}"
              ${enabled ? 'checked' : ''}>
       <span class="fields column">
-        <input type="text"
-               class="label"
-               placeholder="${sanitizeForHTML(browser.i18n.getMessage('config_copyToClipboardFormats_label'))}"
-               value="${label ? sanitizeForHTML(label) : ''}">
-        <input type="text"
-               class="format"
-               placeholder="${sanitizeForHTML(browser.i18n.getMessage('config_copyToClipboardFormats_template'))}"
-               value="${format ? sanitizeForHTML(format) : ''}">
+        <span class="main">
+          <input type="text"
+                 class="label"
+                 placeholder="${sanitizeForHTML(browser.i18n.getMessage('config_copyToClipboardFormats_label'))}"
+                 value="${label ? sanitizeForHTML(label) : ''}">
+          <input type="text"
+                 class="format template-field"
+                 placeholder="${sanitizeForHTML(browser.i18n.getMessage('config_copyToClipboardFormats_template'))}"
+                 value="${format ? sanitizeForHTML(format) : ''}"
+                 ${isTemplateType(type) ? '' : 'disabled'}>
+        </span>
+        <span class="details">
+          <label>${sanitizeForHTML(browser.i18n.getMessage('config_copyToClipboardFormats_type'))}
+            <select class="type">${createSelectOptions(FORMAT_TYPE_LABELS, type || Constants.kFORMAT_TYPE_TEMPLATE)}</select></label>
+          <label>${sanitizeForHTML(browser.i18n.getMessage('config_copyToClipboardFormats_extension'))}
+            <input type="text"
+                   class="extension"
+                   data-key="extension"
+                   placeholder="txt"
+                   value="${extension ? sanitizeForHTML(extension) : ''}"></label>
+          <label>${sanitizeForHTML(browser.i18n.getMessage('config_copyToClipboardFormats_mimeType'))}
+            <input type="text"
+                   class="mimeType"
+                   data-key="mimeType"
+                   placeholder="text/plain"
+                   value="${mimeType ? sanitizeForHTML(mimeType) : ''}"></label>
+          <label class="wide">${sanitizeForHTML(browser.i18n.getMessage('config_copyToClipboardFormats_header'))}
+            <input type="text"
+                   class="header template-field"
+                   data-key="header"
+                   value="${header ? sanitizeForHTML(header) : ''}"
+                   ${isTemplateType(type) ? '' : 'disabled'}></label>
+          <label class="wide">${sanitizeForHTML(browser.i18n.getMessage('config_copyToClipboardFormats_footer'))}
+            <input type="text"
+                   class="footer template-field"
+                   data-key="footer"
+                   value="${footer ? sanitizeForHTML(footer) : ''}"
+                   ${isTemplateType(type) ? '' : 'disabled'}></label>
+          <label class="wide">${sanitizeForHTML(browser.i18n.getMessage('config_copyToClipboardFormats_groupHeader'))}
+            <input type="text"
+                   class="groupHeader template-field"
+                   data-key="groupHeader"
+                   placeholder="%GROUP_TITLE%%EOL%"
+                   value="${groupHeader ? sanitizeForHTML(groupHeader) : ''}"
+                   ${isTemplateType(type) ? '' : 'disabled'}></label>
+          <label>${sanitizeForHTML(browser.i18n.getMessage('config_copyToClipboardFormats_separator'))}
+            <input type="text"
+                   class="separator template-field"
+                   data-key="separator"
+                   placeholder="%EOL%"
+                   value="${separator ? sanitizeForHTML(separator) : ''}"
+                   ${isTemplateType(type) && typeof separator == 'string' ? '' : 'disabled'}></label>
+          <label><input type="checkbox"
+                        class="defaultSeparator template-field"
+                        ${typeof separator == 'string' ? '' : 'checked'}
+                        ${isTemplateType(type) ? '' : 'disabled'}>
+            ${sanitizeForHTML(browser.i18n.getMessage('config_copyToClipboardFormats_defaultSeparator'))}</label>
+          <label>${sanitizeForHTML(browser.i18n.getMessage('config_copyToClipboardFormats_lineEnding'))}
+            <select class="lineEnding"
+                    data-key="lineEnding"
+                    >${createSelectOptions(LINE_ENDING_LABELS, lineEnding || Constants.kLINE_ENDING_DEFAULT)}</select></label>
+          <label>${sanitizeForHTML(browser.i18n.getMessage('config_copyToClipboardFormats_trailingNewline'))}
+            <select class="trailingNewline template-field"
+                    data-key="trailingNewline"
+                    ${isTemplateType(type) ? '' : 'disabled'}
+                    >${createSelectOptions(TRAILING_NEWLINE_LABELS, trailingNewline || Constants.kTRAILING_NEWLINE_AUTO)}</select></label>
+          <label>${sanitizeForHTML(browser.i18n.getMessage('config_copyToClipboardFormats_richTextList'))}
+            <select class="richTextList template-field"
+                    data-key="richTextList"
+                    ${isTemplateType(type) ? '' : 'disabled'}
+                    >${createSelectOptions(RICH_TEXT_LIST_LABELS, richTextList || Constants.kRICH_TEXT_LIST_NONE)}</select></label>
+          <label><input type="checkbox"
+                        class="cleanUrls"
+                        data-key="cleanUrls"
+                        ${cleanUrls ? 'checked' : ''}>
+            ${sanitizeForHTML(browser.i18n.getMessage('config_copyToClipboardFormats_cleanUrls'))}</label>
+          <label><input type="checkbox"
+                        class="preferCanonicalUrl"
+                        data-key="preferCanonicalUrl"
+                        ${preferCanonicalUrl ? 'checked' : ''}>
+            ${sanitizeForHTML(browser.i18n.getMessage('config_copyToClipboardFormats_preferCanonicalUrl'))}</label>
+        </span>
       </span>
       <span class="buttons column">
+        <button class="toggleDetails"
+                title="${sanitizeForHTML(browser.i18n.getMessage('config_copyToClipboardFormats_details'))}"
+                >⚙</button>
         <button class="up"
                 title="${sanitizeForHTML(browser.i18n.getMessage('config_copyToClipboardFormats_up'))}"
                 >▲</button>
@@ -204,7 +339,14 @@ function onRowControlButtonClick(event) {
   const formats = JSON.parse(JSON.stringify(configs.copyToClipboardFormats));
   const rowIndex = parseInt(row.dataset.index);
   const item = formats[rowIndex];
-  if (button.classList.contains('remove')) {
+  if (button.classList.contains('toggleDetails')) {
+    if (mExpandedRows.has(row.dataset.id))
+      mExpandedRows.delete(row.dataset.id);
+    else
+      mExpandedRows.add(row.dataset.id);
+    row.classList.toggle('expanded', mExpandedRows.has(row.dataset.id));
+  }
+  else if (button.classList.contains('remove')) {
     formats.splice(rowIndex, 1);
     configs.copyToClipboardFormats = formats;
     rebuildFormatRows();
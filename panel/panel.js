@@ -0,0 +1,196 @@
+/*
+# This Source Code Form is subject to the terms of the Mozilla Public
+# License, v. 2.0. If a copy of the MPL was not distributed with this
+# file, You can obtain one at http://mozilla.org/MPL/2.0/.
+*/
+'use strict';
+
+import {
+  log,
+  configs
+} from '/common/common.js';
+import * as Constants from '/common/constants.js';
+import * as Commands from '/common/commands.js';
+import '/extlib/l10n.js';
+
+log.context = 'Panel';
+
+let gFormats;
+let gPreview;
+let gStatus;
+let gCopyButton;
+
+let mWindowId;
+let mActiveFormatId;
+const mRendered = new Map();
+
+window.addEventListener('DOMContentLoaded', async () => {
+  await configs.$loaded;
+  mWindowId = (await browser.windows.getCurrent()).id;
+
+  gFormats    = document.querySelector('#formats');
+  gPreview    = document.querySelector('#preview');
+  gStatus     = document.querySelector('#status');
+  gCopyButton = document.querySelector('#copy');
+
+  gFormats.addEventListener('change', onFormatChange);
+  gPreview.addEventListener('input', onPreviewInput);
+  gPreview.addEventListener('keydown', event => {
+    if (event.key == 'Enter' &&
+        (event.ctrlKey || event.metaKey)) {
+      event.preventDefault();
+      copy();
+    }
+  });
+  gCopyButton.addEventListener('click', () => { copy(); });
+
+  buildFormatItems();
+  document.documentElement.classList.add('initialized');
+
+  const firstItem = gFormats.querySelector('input');
+  if (firstItem) {
+    firstItem.checked = true;
+    activateFormat(firstItem.value);
+  }
+  else {
+    gStatus.textContent = browser.i18n.getMessage('panel_status_noFormat');
+  }
+}, { once: true });
+
+function buildFormatItems() {
+  const fragment = document.createDocumentFragment();
+  for (const format of configs.copyToClipboardFormats) {
+    if (format.enabled === false)
+      continue;
+    const item  = fragment.appendChild(document.createElement('li'));
+    const label = item.appendChild(document.createElement('label'));
+    const radio = label.appendChild(document.createElement('input'));
+    radio.type  = 'radio';
+    radio.name  = 'format';
+    radio.value = format.id;
+    label.appendChild(document.createTextNode(getLabelWithoutAccesskey(format.label || format.format)));
+    label.setAttribute('title', format.format);
+  }
+  gFormats.appendChild(fragment);
+}
+
+function getLabelWithoutAccesskey(label) {
+  return label.replace(/\s*\(&[^\s]\)/, '').replace(/&([^\s])/, '$1');
+}
+
+function onFormatChange(event) {
+  const radio = event.target;
+  if (!radio.checked)
+    return;
+  activateFormat(radio.value);
+}
+
+function onPreviewInput() {
+  const rendered = mRendered.get(mActiveFormatId);
+  if (rendered && rendered.result)
+    rendered.editedText = gPreview.value;
+  updateStatus();
+}
+
+async function activateFormat(id) {
+  mActiveFormatId = id;
+  for (const label of gFormats.querySelectorAll('label')) {
+    label.classList.toggle('active', label.querySelector('input').value == id);
+  }
+
+  gCopyButton.disabled = true;
+  document.documentElement.classList.add('rendering');
+  gStatus.textContent = browser.i18n.getMessage('panel_status_rendering');
+
+  let rendered;
+  try {
+    rendered = await render(id);
+  }
+  catch(error) {
+    if (id != mActiveFormatId)
+      return;
+    document.documentElement.classList.remove('rendering');
+    gPreview.value = '';
+    gStatus.textContent = browser.i18n.getMessage('panel_status_failed', [error && error.message || String(error)]);
+    return;
+  }
+  if (id != mActiveFormatId)
+    return;
+
+  document.documentElement.classList.remove('rendering');
+  if (!rendered.result) {
+    gPreview.value = '';
+    gStatus.textContent = browser.i18n.getMessage('panel_status_noTab');
+    return;
+  }
+  gPreview.value = 'editedText' in rendered ? rendered.editedText : rendered.result.plainText;
+  gCopyButton.disabled = false;
+  updateStatus();
+}
+
+async function render(id) {
+  if (!mRendered.has(id)) {
+    const rendered = {};
+    rendered.promise = browser.runtime.sendMessage({
+      type:     Constants.kCOMMAND_RENDER,
+      windowId: mWindowId,
+      formatId: id
+    }).then(result => {
+      log('rendered: ', id, result);
+      rendered.result = result;
+      return rendered;
+    }).catch(error => {
+      log('failed to render: ', id, error);
+      // forget the failure, to retry when the format is selected again
+      if (mRendered.get(id) == rendered)
+        mRendered.delete(id);
+      throw error;
+    });
+    mRendered.set(id, rendered);
+  }
+  return mRendered.get(id).promise;
+}
+
+function isEdited(rendered) {
+  return (
+    'editedText' in rendered &&
+    rendered.editedText != rendered.result.plainText
+  );
+}
+
+function updateStatus() {
+  const rendered = mRendered.get(mActiveFormatId);
+  if (!rendered || !rendered.result)
+    return;
+  const count = rendered.result.tabs.length;
+  const messages = [browser.i18n.getMessage(count > 1 ? 'panel_status_count_multiple' : 'panel_status_count', [count])];
+  if (isEdited(rendered))
+    messages.push(browser.i18n.getMessage('panel_status_edited'));
+  else if (rendered.result.richText)
+    messages.push(browser.i18n.getMessage('panel_status_richText'));
+  gStatus.textContent = messages.join(' ');
+}
+
+async function copy() {
+  const rendered = mRendered.get(mActiveFormatId);
+  if (!rendered || !rendered.result)
+    return;
+
+  const { tabs, richText } = rendered.result;
+  await Commands.writeToClipboard({
+    tabs,
+    // the rich text cannot follow manual edits, so we copy only the edited plain text.
+    richText:  isEdited(rendered) ? null : richText,
+    plainText: gPreview.value
+  });
+
+  if (configs.clearSelectionAfterCommandInvoked &&
+      tabs.length > 1) {
+    const [activeTab] = await browser.tabs.query({ windowId: mWindowId, active: true });
+    await browser.tabs.highlight({
+      windowId: activeTab.windowId,
+      tabs:     [activeTab.index]
+    });
+  }
+  window.close();
+}
@@ -0,0 +1,57 @@
+/*
+ license: The MIT License, Copyright (c) 2026 YUKI "Piro" Hiroshi
+*/
+'use strict';
+
+import * as BookmarksHTML from '../common/bookmarks-html.js';
+
+import { assert } from 'tiny-esm-test-runner';
+const { is } = assert;
+
+const NOW = new Date(Date.UTC(2026, 9, 19, 0, 0, 0));
+
+export function testSerialize() {
+  const roots = [
+    { tab: { title: 'Parent <1>', url: 'https://example.com/?a=1&b=2', favIconUrl: 'https://example.com/favicon.ico', lastAccessed: 1760000000000 }, children: [
+      { tab: { title: 'Child', url: 'https://example.com/child', favIconUrl: 'data:image/png;base64,AAAA' }, children: [] },
+    ] },
+    { tab: { title: '', url: 'https://example.org/' }, children: [] },
+  ];
+  is(
+    [
+      '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+      '<!-- This is an automatically generated file.',
+      '     It will be read and overwritten.',
+      '     DO NOT EDIT! -->',
+      '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+      '<TITLE>Tabs</TITLE>',
+      '<H1>Tabs</H1>',
+      '<DL><p>',
+      '    <DT><H3 ADD_DATE="1792368000" LAST_MODIFIED="1792368000">Parent &lt;1&gt;</H3>',
+      '    <DL><p>',
+      '        <DT><A HREF="https://example.com/?a=1&amp;b=2" ADD_DATE="1792368000" LAST_VISIT="1760000000" ICON_URI="https://example.com/favicon.ico">Parent &lt;1&gt;</A>',
+      '        <DT><A HREF="https://example.com/child" ADD_DATE="1792368000" ICON="data:image/png;base64,AAAA">Child</A>',
+      '    </DL><p>',
+      '    <DT><A HREF="https://example.org/" ADD_DATE="1792368000">https://example.org/</A>',
+      '</DL><p>',
+      '',
+    ].join('\n'),
+    BookmarksHTML.serialize(roots, { title: 'Tabs', now: NOW })
+  );
+}
+
+export function testSerializeWithIcons() {
+  const roots = [
+    { tab: { title: 'Tab', url: 'https://example.com/', favIconUrl: 'https://example.com/favicon.ico' }, children: [] },
+    { tab: { title: 'Failed', url: 'https://example.org/', favIconUrl: 'https://example.org/favicon.ico' }, children: [] },
+  ];
+  const icons = new Map([['https://example.com/favicon.ico', 'data:image/png;base64,BBBB']]);
+  const serialized = BookmarksHTML.serialize(roots, { now: NOW, iconOf: tab => icons.get(tab.favIconUrl) });
+  is(
+    [
+      '    <DT><A HREF="https://example.com/" ADD_DATE="1792368000" ICON_URI="https://example.com/favicon.ico" ICON="data:image/png;base64,BBBB">Tab</A>',
+      '    <DT><A HREF="https://example.org/" ADD_DATE="1792368000" ICON_URI="https://example.org/favicon.ico">Failed</A>',
+    ],
+    serialized.split('\n').filter(line => line.includes('<A '))
+  );
+}
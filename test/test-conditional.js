@@ -0,0 +1,96 @@
+/*
+ license: The MIT License, Copyright (c) 2026 YUKI "Piro" Hiroshi
+*/
+'use strict';
+
+/*
+This is an automated test for the `%IF(...)%` and `%IFMATCH(...)%`
+placeholder functions, for example:
+
+  %IF("%DESCRIPTION%", "%EOL%> %DESCRIPTION%", "")%
+  => This will return a quoted description only when the page has it.
+
+  %IFMATCH("%URL%", "^https://github\.com/", "GitHub: %TITLE%", "%TITLE%")%
+  => This will return a title with a prefix only for GitHub.
+
+The matcher part is parsed as a JavaScript regular expression,
+case-insensitive and not global match, same as `%REPLACE(...)%`.
+*/
+
+import * as Conditional from '../common/conditional.js';
+
+import { assert } from 'tiny-esm-test-runner';
+const { is, ok, ng } = assert;
+
+const PARAMS = {
+  '%EMPTY%':  '',
+  '%SPACES%': '   ',
+  '%VALUE%':  'value',
+  '%URL%':    'https://example.com/path',
+};
+
+function fill(input) {
+  return input.replace(/%[A-Z]+%/g, matched => PARAMS[matched] || '');
+}
+
+export function testIf() {
+  is('prefix then suffix',
+     Conditional.processAll('prefix %IF("%VALUE%", "then", "else")% suffix', fill));
+  is('prefix else suffix',
+     Conditional.processAll('prefix %IF("%EMPTY%", "then", "else")% suffix', fill));
+  is('prefix else suffix', // should treat whitespaces as empty
+     Conditional.processAll('prefix %IF("%SPACES%", "then", "else")% suffix', fill));
+  is('prefix  suffix', // else text is optional
+     Conditional.processAll('prefix %IF("%EMPTY%", "then")% suffix', fill));
+  is('prefix [value] suffix', // branches should be filled
+     Conditional.processAll('prefix %IF("%VALUE%", "[%VALUE%]")% suffix', fill));
+  is('prefix then suffix', // should ignore cases
+     Conditional.processAll('prefix %if("%VALUE%", "then", "else")% suffix', fill));
+}
+
+export function testIfMatch() {
+  is('prefix then suffix',
+     Conditional.processAll('prefix %IFMATCH("%URL%", "^https?://EXAMPLE\\.com/", "then", "else")% suffix', fill));
+  is('prefix else suffix',
+     Conditional.processAll('prefix %IFMATCH("%URL%", "^https?://example\\.org/", "then", "else")% suffix', fill));
+  is('prefix  suffix', // else text is optional
+     Conditional.processAll('prefix %IFMATCH("%URL%", "example\\.org", "then")% suffix', fill));
+}
+
+export function testOnlyChosenBranchIsFilled() {
+  const filled = [];
+  Conditional.processAll('%IF("%VALUE%", "then", "else")%', input => {
+    filled.push(input);
+    return fill(input);
+  });
+  is(['%VALUE%', 'then'], filled);
+}
+
+function assertFailed(input, expectedError) {
+  try {
+    Conditional.processAll(input, fill);
+    ng('must be failed');
+  }
+  catch(error) {
+    ok(error instanceof Conditional.ConditionalError);
+    if (expectedError instanceof RegExp) // for messages depending on the JavaScript engine
+      ok(expectedError.test(error.message), error.message);
+    else
+      is(expectedError, error.message);
+  }
+}
+
+export function testErrors() {
+  assertFailed(
+    '%IF("%VALUE%")%',
+    'Wrong number of arguments: IF must take one condition text, one text for non-empty condition, and optional text for empty condition'
+  );
+  assertFailed(
+    '%IFMATCH("%VALUE%", "value")%',
+    'Wrong number of arguments: IFMATCH must take one base text, one matcher, one text for matched case, and optional text for unmatched case'
+  );
+  assertFailed(
+    '%IFMATCH("%VALUE%", "(", "then")%',
+    /^Invalid matcher "\(" for IFMATCH: /
+  );
+}
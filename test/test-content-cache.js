@@ -0,0 +1,87 @@
+/*
+ license: The MIT License, Copyright (c) 2026 YUKI "Piro" Hiroshi
+*/
+'use strict';
+
+import * as ContentCache from '../common/content-cache.js';
+
+import { assert } from 'tiny-esm-test-runner';
+const { is } = assert;
+
+const TAB = { id: 1, url: 'https://example.com/' };
+const PARAMS = { author: 'author', description: 'description', selection: 'selection', selectionSource: '<b>selection</b>' };
+
+const listeners = {
+  onUpdated: new Set(),
+  onRemoved: new Set(),
+};
+global.browser = {
+  tabs: Object.fromEntries(Object.entries(listeners).map(([name, set]) => [name, {
+    addListener:    listener => set.add(listener),
+    removeListener: listener => set.delete(listener),
+  }])),
+};
+
+export function setUp() {
+  ContentCache.clear();
+  ContentCache.startTracking();
+}
+
+export function tearDown() {
+  ContentCache.stopTracking();
+}
+
+export function testGetFresh() {
+  is(null, ContentCache.get(TAB));
+  ContentCache.set(TAB, PARAMS);
+  is({ author: 'author', description: 'description' }, ContentCache.get(TAB));
+  is(null, ContentCache.get({ ...TAB, url: 'https://example.com/other' }));
+}
+
+export function testStaleForOtherTabsWithSameUrl() {
+  ContentCache.onLoading(1, 100);
+  ContentCache.set(TAB, PARAMS);
+  is(null, ContentCache.get({ ...TAB, id: 2 }));
+  is({ author: 'author', description: 'description' }, ContentCache.getStale({ ...TAB, id: 2 }));
+}
+
+export function testInvalidatedByLoading() {
+  ContentCache.onLoading(1, 100);
+  ContentCache.set(TAB, PARAMS);
+  ContentCache.onLoading(1, 200);
+  is(null, ContentCache.get(TAB));
+  is({ author: 'author', description: 'description' }, ContentCache.getStale(TAB));
+}
+
+export function testNotAvailableWithoutTracking() {
+  ContentCache.set(TAB, PARAMS);
+  ContentCache.stopTracking();
+  is(null, ContentCache.get(TAB));
+  is({ author: 'author', description: 'description' }, ContentCache.getStale(TAB));
+}
+
+export function testInvalidatedByTabEvents() {
+  ContentCache.set(TAB, PARAMS);
+  for (const listener of listeners.onUpdated) {
+    listener(TAB.id, { status: 'loading' });
+  }
+  is(null, ContentCache.get(TAB));
+  ContentCache.set(TAB, PARAMS);
+  for (const listener of listeners.onUpdated) {
+    listener(TAB.id, { title: 'changed' });
+  }
+  is({ author: 'author', description: 'description' }, ContentCache.get(TAB));
+}
+
+export function testStopTrackingRemovesListeners() {
+  ContentCache.stopTracking();
+  is(0, listeners.onUpdated.size);
+  is(0, listeners.onRemoved.size);
+}
+
+export function testErrorsAreNotCached() {
+  ContentCache.set(TAB, { error: 'failed' });
+  is(null, ContentCache.get(TAB));
+  ContentCache.set(TAB, null);
+  is(null, ContentCache.getStale(TAB));
+}
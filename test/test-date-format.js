@@ -0,0 +1,67 @@
+/*
+ license: The MIT License, Copyright (c) 2026 YUKI "Piro" Hiroshi
+*/
+'use strict';
+
+import * as DateFormat from '../common/date-format.js';
+
+import { assert } from 'tiny-esm-test-runner';
+const { is, ok, ng } = assert;
+
+const DATE = new Date(Date.UTC(2026, 9, 19, 15, 4, 5, 6)); // Mon
+
+export function testMomentStyleTokens() {
+  is('2026-10-19 15:04:05.006',
+     DateFormat.format(DATE, 'YYYY-MM-DD HH:mm:ss.SSS', { timeZone: 'UTC' }));
+  is('26/10/19 3:4:5 PM pm',
+     DateFormat.format(DATE, 'YY/M/D h:m:s A a', { timeZone: 'UTC' }));
+  is('Monday, October 19 (Mon, Oct) day 292',
+     DateFormat.format(DATE, 'dddd, MMMM D (ddd, MMM) [day] DDDD', { timeZone: 'UTC' }));
+  is('1792422245 1792422245006',
+     DateFormat.format(DATE, 'X x', { timeZone: 'UTC' }));
+}
+
+export function testLiteralWords() {
+  is('Day 19 of October',
+     DateFormat.format(DATE, 'Day D of MMMM', { timeZone: 'UTC' }));
+  is('1504 at 2026',
+     DateFormat.format(DATE, 'HHmm at YYYY', { timeZone: 'UTC' }));
+  is('Mass 19', // words consisting only of tokens must be wrapped
+     DateFormat.format(DATE, '[Mass] D', { timeZone: 'UTC' }));
+  is('%q 2026', // unknown strftime style tokens are left as is
+     DateFormat.format(DATE, '%q %Y', { timeZone: 'UTC' }));
+}
+
+export function testStrftimeStyleTokens() {
+  is('<2026-10-19 Mon>',
+     DateFormat.format(DATE, '<%Y-%m-%d %a>', { timeZone: 'UTC' }));
+  is('2026-10-19T15:04:05 03 PM +0000 100%',
+     DateFormat.format(DATE, '%FT%T %I %p %z 100%%', { timeZone: 'UTC' }));
+}
+
+export function testPresets() {
+  is('2026-10-19T15:04:05+00:00',
+     DateFormat.format(DATE, 'ISO', { timeZone: 'UTC' }));
+  is('<2026-10-19 Mon>',
+     DateFormat.format(DATE, 'org', { timeZone: 'UTC' }));
+}
+
+export function testTimeZone() {
+  is('2026-10-20T00:04:05+09:00 Tue',
+     DateFormat.format(DATE, 'YYYY-MM-DD[T]HH:mm:ssZ ddd', { timeZone: 'Asia/Tokyo' }));
+  is('2026-10-19T11:04:05-04:00',
+     DateFormat.format(DATE, 'ISO', { timeZone: 'America/New_York' }));
+  is(String(DATE.getHours()),
+     DateFormat.format(DATE, 'H'));
+}
+
+export function testInvalid() {
+  is('', DateFormat.format(new Date(NaN), 'YYYY'));
+  try {
+    DateFormat.format(DATE, 'YYYY', { timeZone: 'Invalid/Zone' });
+    ng('must be failed');
+  }
+  catch(error) {
+    ok(error instanceof DateFormat.DateFormatError);
+  }
+}
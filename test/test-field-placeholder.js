@@ -0,0 +1,116 @@
+/*
+ license: The MIT License, Copyright (c) 2026 YUKI "Piro" Hiroshi
+*/
+'use strict';
+
+import * as FieldPlaceHolder from '../common/field-placeholder.js';
+
+import { assert } from 'tiny-esm-test-runner';
+const { is, ok, ng } = assert;
+
+const FIELDS = {
+  TITLE:    'Title <1> & "2"',
+  URL:      'https://example.com/?q=a b',
+  EMPTY:    '',
+  SEL_SOURCE: '<b>bold</b>',
+  LAZY:     () => 'lazy value',
+};
+
+export function testPlain() {
+  is('prefix Title <1> & "2" suffix',
+     FieldPlaceHolder.processAll('prefix %TITLE% suffix', FIELDS));
+  is('prefix Title <1> & "2" suffix', // should ignore cases
+     FieldPlaceHolder.processAll('prefix %title% suffix', FIELDS));
+  is('lazy value',
+     FieldPlaceHolder.processAll('%LAZY%', FIELDS));
+  is('<b>bold</b>', // should prefer exact field names to suffix aliases
+     FieldPlaceHolder.processAll('%SEL_SOURCE%', FIELDS));
+}
+
+export function testUnknownFields() {
+  is('%UNKNOWN% %TST_INDENT(  )% 100% %RT%',
+     FieldPlaceHolder.processAll('%UNKNOWN% %TST_INDENT(  )% 100% %RT%', FIELDS));
+  is('50%Title <1> & "2"', // the closing "%" of unknown text should not break following placeholders
+     FieldPlaceHolder.processAll('50%%TITLE%', FIELDS));
+  is('a%b%Title <1> & "2"',
+     FieldPlaceHolder.processAll('a%b%%TITLE%', FIELDS));
+}
+
+export function testModifiers() {
+  is('Title &lt;1&gt; &amp; &quot;2&quot;',
+     FieldPlaceHolder.processAll('%TITLE|html%', FIELDS));
+  is('https%3A%2F%2Fexample.com%2F%3Fq%3Da%20b',
+     FieldPlaceHolder.processAll('%URL|urlencode%', FIELDS));
+  is('TITLE <1> & "2"',
+     FieldPlaceHolder.processAll('%TITLE|upper%', FIELDS));
+  is('Title <…',
+     FieldPlaceHolder.processAll('%TITLE|truncate(8)%', FIELDS));
+  is('Title \\<\\.\\.\\.',
+     FieldPlaceHolder.processAll('%TITLE|truncate(10, "...")|md%', FIELDS));
+  is('Title <1> & "2"', // should not truncate short text
+     FieldPlaceHolder.processAll('%TITLE|truncate(100)%', FIELDS));
+  is('(none)',
+     FieldPlaceHolder.processAll('%EMPTY|default("(none)")%', FIELDS));
+  is('"Title <1> & ""2"""',
+     FieldPlaceHolder.processAll('%TITLE|csv%', FIELDS));
+  is('a|b',
+     FieldPlaceHolder.processAll('%EMPTY|default("a|b")%', FIELDS));
+  is('%, ()',
+     FieldPlaceHolder.processAll('%EMPTY|default(\'%, ()\')%', FIELDS));
+}
+
+export function testSuffixAliases() {
+  is('Title &lt;1&gt; &amp; &quot;2&quot;',
+     FieldPlaceHolder.processAll('%TITLE_HTML%', FIELDS));
+  is('Title &lt;1&gt; &amp; &quot;2&quot;',
+     FieldPlaceHolder.processAll('%TITLE_HTMLIFIED%', FIELDS));
+  is('Title \\<1\\> \\& \\"2\\"',
+     FieldPlaceHolder.processAll('%TITLE_MD%', FIELDS));
+  is('Title <1> \\& \\"2\\"',
+     FieldPlaceHolder.processAll('%TITLE_MD_LINK_TITLE%', FIELDS));
+  is('TITLE &LT;1&GT; &AMP; &QUOT;2&QUOT;', // aliases should be applied before other modifiers
+     FieldPlaceHolder.processAll('%TITLE_HTML|upper%', FIELDS));
+}
+
+export function testSuffixedValue() {
+  const fields = {
+    CONTAINER_NAME: FieldPlaceHolder.withSuffix('Work.', ': '),
+    EMPTY_NAME:     FieldPlaceHolder.withSuffix(null, ': '),
+  };
+  is('Work.: ',
+     FieldPlaceHolder.processAll('%CONTAINER_NAME%', fields));
+  is('Work\\.: ', // the suffix should not be escaped
+     FieldPlaceHolder.processAll('%CONTAINER_NAME_MD%', fields));
+  is('WORK.: ',
+     FieldPlaceHolder.processAll('%CONTAINER_NAME|upper%', fields));
+  is('', // the suffix should not be appended to blank value
+     FieldPlaceHolder.processAll('%EMPTY_NAME%', fields));
+}
+
+export function testRegisterModifier() {
+  FieldPlaceHolder.registerModifier('reverse', value => [...value].reverse().join(''));
+  is('elpmaxe',
+     FieldPlaceHolder.processAll('%VALUE|reverse%', { value: 'example' }));
+}
+
+function assertFailed(input, expectedError) {
+  try {
+    FieldPlaceHolder.processAll(input, FIELDS);
+    ng('must be failed');
+  }
+  catch(error) {
+    ok(error instanceof FieldPlaceHolder.FieldPlaceHolderError);
+    is(expectedError, error.message);
+  }
+}
+
+export function testErrors() {
+  assertFailed(
+    '%TITLE|unknown%',
+    'Unknown modifier "unknown" in "%TITLE|unknown%"'
+  );
+  assertFailed(
+    '%TITLE|truncate("long")%',
+    'Invalid length "long" for the modifier "truncate", it must be a number'
+  );
+}
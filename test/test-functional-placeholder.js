@@ -4,6 +4,7 @@
 'use strict';
 
 import * as FunctionalPlaceHolder from '../common/functional-placeholder.js';
+import * as FieldPlaceHolder from '../common/field-placeholder.js';
 
 import { assert } from 'tiny-esm-test-runner';
 const { is, ok, ng } = assert;
@@ -170,6 +171,43 @@ export function testErrors() {
     'prefix %FUNC("1st", unquoted)%',
     'Invalid character "u" after "%FUNC("1st", ", you may forgot to wrap any argument with quotations'
   );
+  assertFailed(
+    'prefix %FUNC("1st") | md% suffix',
+    'Invalid character "|" after "%FUNC("1st") ", you may forgot to wrap any argument with quotations'
+  );
+}
+
+export function testModifiers() {
+  const filters = {
+    func: (...args) => args.join(' & '),
+  };
+  is('prefix A \\& B suffix',
+     FunctionalPlaceHolder.processAll('prefix %FUNC("A", "B")|md% suffix', filters));
+  is('prefix A &amp;… suffix',
+     FunctionalPlaceHolder.processAll('prefix %FUNC("A", "B")|html|truncate(8)% suffix', filters));
+  is('prefix A \\& B suffix', // should accept suffix aliases
+     FunctionalPlaceHolder.processAll('prefix %FUNC_MD("A", "B")% suffix', filters));
+  is('prefix A &AMP; B suffix', // aliases should be applied before other modifiers
+     FunctionalPlaceHolder.processAll('prefix %func_html("A", "B")|upper% suffix', filters));
+  is('prefix A|B & C suffix', // should ignore "|" in quotations
+     FunctionalPlaceHolder.processAll('prefix %FUNC("A|B", "C")% suffix', filters));
+}
+
+export function testResultsProtectedFromOtherPlaceholders() {
+  const filters = {
+    meta: name => ({
+      description: 'Injected %TITLE% and %X|truncate(a)%',
+      time:        '%TIME("x")%',
+    })[name],
+    time: () => 'TIME',
+  };
+  const fillOthers = input => FieldPlaceHolder.processAll(input, { TITLE: 'Title', X: 'x' });
+  is('Title: Injected %TITLE% and %X|truncate(a)%',
+     FunctionalPlaceHolder.processAll('%TITLE%: %META("description")%', filters, fillOthers));
+  is('%TIME("x")% TIME', // should not be processed by other filters
+     FunctionalPlaceHolder.processAll('%META("time")% %TIME()%', filters, fillOthers));
+  is('INJECTED %TITLE% AND %X|TRUNCATE(A)%', // modifiers should be applied to protected results
+     FunctionalPlaceHolder.processAll('%META("description")|upper%', filters, fillOthers));
 }
 
 export function testMultiplePlaceholders() {
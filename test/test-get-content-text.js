@@ -0,0 +1,110 @@
+/*
+ license: The MIT License, Copyright (c) 2026 YUKI "Piro" Hiroshi
+*/
+'use strict';
+
+import { getContentText } from '../common/get-content-text.js';
+
+import { assert } from 'tiny-esm-test-runner';
+const { is, ok } = assert;
+
+global.XPathResult = global.XPathResult || { STRING_TYPE: 2 };
+
+// A minimum fake of a document without META and window selection.
+// `links` is a map from rel to href, and `jsonLD` is a list of sources of
+// JSON-LD scripts.
+function createDocument(activeElement, { links = {}, jsonLD = [] } = {}) {
+  return {
+    activeElement,
+    head:             { getAttribute: () => null },
+    defaultView:      { getSelection: () => null },
+    evaluate:         () => ({ stringValue: '' }),
+    querySelector:    selector => {
+      const rel = (selector.match(/^link\[rel~="([^"]+)"/) || [])[1];
+      return rel && rel in links ? { href: links[rel] } : null;
+    },
+    querySelectorAll: selector => /^script\b/.test(selector) ?
+      jsonLD.map(textContent => ({ textContent })) :
+      [],
+  };
+}
+
+function createField(localName, type) {
+  return {
+    localName,
+    type,
+    value:          'secret value',
+    selectionStart: 0,
+    selectionEnd:   6,
+  };
+}
+
+export function testSelectionInTextField() {
+  const params = getContentText(createDocument(createField('input', 'text')));
+  is({ selection: 'secret', selectionSource: 'secret' },
+     { selection: params.selection, selectionSource: params.selectionSource });
+  is('secret', getContentText(createDocument(createField('textarea', ''))).selection);
+}
+
+export function testSelectionInPasswordFieldIgnored() {
+  const params = getContentText(createDocument(createField('input', 'password')));
+  is({ selection: '', selectionSource: '' },
+     { selection: params.selection, selectionSource: params.selectionSource });
+}
+
+export function testLinks() {
+  const params = getContentText(createDocument(null, { links: {
+    canonical: 'https://example.com/article',
+    shortlink: 'https://example.com/?p=1',
+  } }));
+  is({ canonicalUrl: 'https://example.com/article', shortUrl: 'https://example.com/?p=1' },
+     { canonicalUrl: params.canonicalUrl, shortUrl: params.shortUrl });
+}
+
+export function testNonHttpLinksIgnored() {
+  const params = getContentText(createDocument(null, { links: {
+    canonical: 'javascript:alert(1)',
+    shortlink: 'data:text/plain,short',
+  } }));
+  is({ canonicalUrl: '', shortUrl: '' },
+     { canonicalUrl: params.canonicalUrl, shortUrl: params.shortUrl });
+}
+
+function getStructuredData(params) {
+  const { headline, publishedDate, author, publisher } = params;
+  return { headline, publishedDate, author, publisher };
+}
+
+export function testJSONLD() {
+  const params = getContentText(createDocument(null, { jsonLD: [JSON.stringify({
+    '@type':       'NewsArticle',
+    headline:      'Headline',
+    datePublished: '2026-10-19',
+    author:        [{ '@type': 'Person', name: 'Alice' }, 'Bob', { '@type': 'Person' }],
+    publisher:     { '@type': 'Organization', name: 'Publisher' },
+  })] }));
+  is({ headline: 'Headline', publishedDate: '2026-10-19', author: 'Alice, Bob', publisher: 'Publisher' },
+     getStructuredData(params));
+}
+
+export function testJSONLDGraph() {
+  const params = getContentText(createDocument(null, { jsonLD: [JSON.stringify({
+    '@context': 'https://schema.org',
+    '@graph':   [
+      { '@type': 'WebSite', name: 'Site' },
+      { '@type': 'Article', headline: 'In graph', author: { name: 'Carol' } },
+    ],
+  })] }));
+  is({ headline: 'In graph', publishedDate: '', author: 'Carol', publisher: '' },
+     getStructuredData(params));
+}
+
+export function testInvalidJSONLDSkipped() {
+  const params = getContentText(createDocument(null, { jsonLD: [
+    '{ invalid',
+    JSON.stringify([{ '@type': 'BreadcrumbList' }, { headline: 'Valid', datePublished: '2026-01-01' }]),
+  ] }));
+  ok(!params.error);
+  is({ headline: 'Valid', publishedDate: '2026-01-01', author: '', publisher: '' },
+     getStructuredData(params));
+}
@@ -0,0 +1,105 @@
+/*
+ license: The MIT License, Copyright (c) 2026 YUKI "Piro" Hiroshi
+*/
+'use strict';
+
+import * as LinkExtractor from '../common/link-extractor.js';
+
+import { assert } from 'tiny-esm-test-runner';
+const { is } = assert;
+
+export function testPlainURLs() {
+  is(
+    [
+      { url: 'https://example.com/', title: '', level: 0 },
+      { url: 'http://example.org/path?query', title: '', level: 0 },
+    ],
+    LinkExtractor.extractLinksFromText('https://example.com/\nhttp://example.org/path?query\n')
+  );
+}
+
+export function testTitleAndURL() { // %TITLE%%EOL%%URL%
+  is(
+    [
+      { url: 'https://example.com/', title: 'Example Domain', level: 0 },
+      { url: 'https://example.org/', title: 'Another', level: 0 },
+    ],
+    LinkExtractor.extractLinksFromText('Example Domain\nhttps://example.com/\nAnother\nhttps://example.org/')
+  );
+}
+
+export function testTrailingPunctuations() {
+  is(
+    [
+      { url: 'https://example.com/', title: 'See', level: 0 },
+      { url: 'https://en.wikipedia.org/wiki/Tree_(data_structure)', title: '', level: 0 },
+    ],
+    LinkExtractor.extractLinksFromText('See https://example.com/.\n(https://en.wikipedia.org/wiki/Tree_(data_structure)).')
+  );
+}
+
+export function testMarkdownList() {
+  is(
+    [
+      { url: 'https://example.com/', title: 'Parent [1]', level: 0 },
+      { url: 'https://example.com/child', title: 'Child', level: 1 },
+      { url: 'https://example.com/grandchild', title: 'Grandchild', level: 2 },
+      { url: 'https://example.org/', title: 'Next', level: 0 },
+    ],
+    LinkExtractor.extractLinksFromText([
+      '* [Parent \\[1\\]](https://example.com/ "Parent \\[1\\]")',
+      '  * [Child](https://example.com/child "Child")',
+      '    * [Grandchild](https://example.com/grandchild)',
+      '* [Next](https://example.org/)',
+    ].join('\n'))
+  );
+}
+
+export function testOrgHeadings() {
+  is(
+    [
+      { url: 'https://example.com/', title: 'Parent', level: 0 },
+      { url: 'https://example.com/child', title: 'Child', level: 1 },
+      { url: 'https://example.org/', title: '', level: 0 },
+    ],
+    LinkExtractor.extractLinksFromText([
+      '* [[https://example.com/][Parent]]',
+      '** [[https://example.com/child][Child]]',
+      '* [[https://example.org/]]',
+    ].join('\r\n'))
+  );
+}
+
+export function testAsteriskBullets() {
+  is(
+    [
+      { url: 'https://example.com/', title: 'Parent note', level: 0 },
+      { url: 'https://example.com/child', title: 'Child note', level: 1 },
+      { url: 'https://example.org/', title: 'Next note', level: 0 },
+      { url: 'https://example.net/', title: 'Last', level: 0 },
+    ],
+    LinkExtractor.extractLinksFromText([
+      '- Parent note https://example.com/',
+      ' * Child note https://example.com/child',
+      '* Next note https://example.org/',
+      '* [[https://example.net/][Last]]',
+    ].join('\n'))
+  );
+}
+
+export function testHTML() {
+  is(
+    [
+      { url: 'https://example.com/?a=1&b=2', title: 'Parent & Co.', level: 0 },
+      { url: 'https://example.com/child', title: 'Child', level: 1 },
+      { url: 'https://example.org/', title: 'Next', level: 0 },
+    ],
+    LinkExtractor.extractLinksFromHTML([
+      '<ul>',
+      '<li><a title="Parent" href="https://example.com/?a=1&amp;b=2"><b>Parent</b> &amp; Co.</a>',
+      '<ul><li><a href=\'https://example.com/child\'>Child</a></li></ul></li>',
+      '<li><a href="https://example.org/">Next</a> <a href="javascript:void(0)">ignored</a></li>',
+      '</ul>',
+    ].join(''))
+  );
+}
@@ -0,0 +1,68 @@
+/*
+ license: The MIT License, Copyright (c) 2026 YUKI "Piro" Hiroshi
+*/
+'use strict';
+
+import * as TabsJSON from '../common/tabs-json.js';
+
+import { assert } from 'tiny-esm-test-runner';
+const { is } = assert;
+
+export function testSerialize() {
+  const parent = { id: 1, title: 'Parent, "quoted"', url: 'https://example.com/', index: 0, windowId: 1, pinned: true, lastAccessed: 1760000000000, container: 'Work' };
+  const child  = { id: 2, title: 'Child', url: 'https://example.com/child', index: 1, windowId: 1 };
+  const roots = [
+    { tab: parent, children: [
+      { tab: child, children: [] },
+    ] },
+  ];
+  const metas = {
+    1: { author: 'Author', description: 'Description', keywords: 'a, b' },
+  };
+  is(
+    [
+      {
+        title:        'Parent, "quoted"',
+        url:          'https://example.com/',
+        container:    'Work',
+        pinned:       true,
+        index:        0,
+        windowId:     1,
+        lastAccessed: 1760000000000,
+        meta:         { author: 'Author', description: 'Description', keywords: 'a, b' },
+        children: [
+          {
+            title:        'Child',
+            url:          'https://example.com/child',
+            container:    null,
+            pinned:       false,
+            index:        1,
+            windowId:     1,
+            lastAccessed: null,
+            meta:         { author: null, description: null, keywords: null },
+            children:     []
+          },
+        ]
+      },
+    ],
+    JSON.parse(TabsJSON.serialize(roots, { metaOf: tab => metas[tab.id] }))
+  );
+}
+
+export function testSerializeWithLineFeed() {
+  const roots = [
+    { tab: { title: 'Tab', url: 'https://example.com/', index: 0, windowId: 1 }, children: [] },
+  ];
+  const serialized = TabsJSON.serialize(roots, { lineFeed: '\r\n' });
+  is(false, /[^\r]\n/.test(serialized));
+  is(true, serialized.endsWith(']\r\n'));
+}
+
+export function testSerializeMissingFields() {
+  const roots = [
+    { tab: { title: 'Tab', url: 'https://example.com/' }, children: [] },
+  ];
+  const [serialized] = JSON.parse(TabsJSON.serialize(roots));
+  is(null, serialized.index);
+  is(null, serialized.windowId);
+}
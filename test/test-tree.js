@@ -0,0 +1,145 @@
+/*
+ license: The MIT License, Copyright (c) 2026 YUKI "Piro" Hiroshi
+*/
+'use strict';
+
+import * as Tree from '../common/tree.js';
+
+import { assert } from 'tiny-esm-test-runner';
+const { is } = assert;
+
+// 1
+// +-2
+// | +-3
+// +-4
+// 5
+const TREE_ITEMS = [
+  { id: 1, children: [
+    { id: 2, children: [
+      { id: 3, children: [] },
+    ] },
+    { id: 4, children: [] },
+  ] },
+  { id: 5, children: [] },
+];
+
+export function testCollectAncestors() {
+  is(
+    { 1: [], 2: [1], 3: [2, 1], 4: [1], 5: [] },
+    Tree.collectAncestors(TREE_ITEMS)
+  );
+}
+
+export function testIndentLevels() {
+  const ancestorsOf = Tree.collectAncestors(TREE_ITEMS);
+  is(
+    [0, 1, 2, 1, 0],
+    Tree.getIndentLevels([1, 2, 3, 4, 5].map(id => ({ id })), ancestorsOf)
+  );
+  is( // should ignore unselected ancestors
+    [0, 1, 0],
+    Tree.getIndentLevels([2, 3, 5].map(id => ({ id })), ancestorsOf)
+  );
+}
+
+function simplify(nodes) {
+  return nodes.map(node => ({ id: node.tab.id, children: simplify(node.children) }));
+}
+
+export function testBuildTree() {
+  const ancestorsOf = Tree.collectAncestors(TREE_ITEMS);
+  is(
+    TREE_ITEMS,
+    simplify(Tree.buildTree([1, 2, 3, 4, 5].map(id => ({ id })), ancestorsOf))
+  );
+  is( // should attach to the nearest selected ancestor
+    [
+      { id: 1, children: [
+        { id: 3, children: [] },
+      ] },
+      { id: 5, children: [] },
+    ],
+    simplify(Tree.buildTree([1, 3, 5].map(id => ({ id })), ancestorsOf))
+  );
+}
+
+export function testGetOutlines() {
+  const ancestorsOf = Tree.collectAncestors(TREE_ITEMS);
+  const simplifyOutlines = outlines => outlines.map(outline => ({ ...outline, parent: outline.parent && outline.parent.id }));
+  is(
+    [
+      { level: 0, number: '1',     parent: null, childCount: 2 },
+      { level: 1, number: '1.1',   parent: 1,    childCount: 1 },
+      { level: 2, number: '1.1.1', parent: 2,    childCount: 0 },
+      { level: 1, number: '1.2',   parent: 1,    childCount: 0 },
+      { level: 0, number: '2',     parent: null, childCount: 0 },
+    ],
+    simplifyOutlines(Tree.getOutlines([1, 2, 3, 4, 5].map(id => ({ id })), ancestorsOf))
+  );
+  is( // should ignore unselected ancestors
+    [
+      { level: 0, number: '1',   parent: null, childCount: 1 },
+      { level: 1, number: '1.1', parent: 2,    childCount: 0 },
+      { level: 0, number: '2',   parent: null, childCount: 0 },
+    ],
+    simplifyOutlines(Tree.getOutlines([2, 3, 5].map(id => ({ id })), ancestorsOf))
+  );
+}
+
+export function testRenderNestedList() {
+  const ancestorsOf = Tree.collectAncestors(TREE_ITEMS);
+  const roots = Tree.buildTree([1, 2, 3, 4, 5].map(id => ({ id })), ancestorsOf);
+  is(
+    '<ul><li>tab1<ul><li>tab2<ul><li>tab3</li></ul></li><li>tab4</li></ul></li><li>tab5</li></ul>',
+    Tree.renderNestedList(roots, tab => `tab${tab.id}`)
+  );
+  is(
+    '<ol><li>tab1<ol><li>tab2<ol><li>tab3</li></ol></li><li>tab4</li></ol></li><li>tab5</li></ol>',
+    Tree.renderNestedList(roots, tab => `tab${tab.id}`, { listTag: 'ol' })
+  );
+  is('', Tree.renderNestedList([], tab => `tab${tab.id}`));
+}
+
+export function testBuildTreeItemsFromOpeners() {
+  const tabs = [
+    { id: 1, index: 0 },
+    { id: 2, index: 1, openerTabId: 1 },
+    { id: 3, index: 2, openerTabId: 2 },
+    { id: 4, index: 3, openerTabId: 1 },
+    { id: 5, index: 4 },
+  ];
+  const simplifyItems = items => items.map(item => ({ id: item.id, children: simplifyItems(item.children) }));
+  is(TREE_ITEMS, simplifyItems(Tree.buildTreeItemsFromOpeners(tabs)));
+  is( // should be sorted by index
+    TREE_ITEMS,
+    simplifyItems(Tree.buildTreeItemsFromOpeners(tabs.slice(0).reverse()))
+  );
+  is( // should not attach to openers separated by other trees
+    [
+      { id: 1, children: [] },
+      { id: 2, children: [] },
+      { id: 3, children: [] },
+    ],
+    simplifyItems(Tree.buildTreeItemsFromOpeners([
+      { id: 1, index: 0 },
+      { id: 2, index: 1 },
+      { id: 3, index: 2, openerTabId: 1 },
+    ]))
+  );
+  is( // should ignore openers placed after the tab or missing
+    [
+      { id: 1, children: [] },
+      { id: 2, children: [] },
+    ],
+    simplifyItems(Tree.buildTreeItemsFromOpeners([
+      { id: 1, index: 0, openerTabId: 2 },
+      { id: 2, index: 1, openerTabId: 99 },
+    ]))
+  );
+}
+
+export function testFindTreeItem() {
+  is(3, Tree.findTreeItem(TREE_ITEMS, 3).id);
+  is(5, Tree.findTreeItem(TREE_ITEMS, 5).id);
+  is(null, Tree.findTreeItem(TREE_ITEMS, 99));
+}
@@ -0,0 +1,53 @@
+/*
+ license: The MIT License, Copyright (c) 2026 YUKI "Piro" Hiroshi
+*/
+'use strict';
+
+import * as URLCleaner from '../common/url-cleaner.js';
+
+import { assert } from 'tiny-esm-test-runner';
+const { is } = assert;
+
+const RULES = URLCleaner.parseRules(`
+# comment
+utm_*
+fbclid   # trailing comment
+
+amazon.*: ref, pf_rd_*
+example.com: tag
+`);
+
+export function testGlobalRules() {
+  is('https://example.org/path?id=1&q=a+b%20c#hash',
+     URLCleaner.cleanUrl('https://example.org/path?utm_source=x&id=1&UTM_MEDIUM=y&q=a+b%20c&fbclid=z#hash', RULES));
+  is('https://example.org/path#hash', // should remove "?" if no parameter remains
+     URLCleaner.cleanUrl('https://example.org/path?utm_source=x&fbclid=z#hash', RULES));
+  is('https://example.org/path?fbclid2=1', // should match to whole name
+     URLCleaner.cleanUrl('https://example.org/path?fbclid2=1', RULES));
+}
+
+export function testSiteRules() {
+  is('https://www.amazon.co.jp/dp/123?keep=1',
+     URLCleaner.cleanUrl('https://www.amazon.co.jp/dp/123?ref=a&pf_rd_p=b&keep=1', RULES));
+  is('https://sub.example.com/?id=1',
+     URLCleaner.cleanUrl('https://sub.example.com/?tag=a&id=1', RULES));
+  is('https://notexample.com/?tag=a&id=1', // should not match to other domains with same suffix
+     URLCleaner.cleanUrl('https://notexample.com/?tag=a&id=1', RULES));
+  is('https://example.org/?ref=a', // site rules should not be applied to other sites
+     URLCleaner.cleanUrl('https://example.org/?ref=a', RULES));
+}
+
+export function testUnchanged() {
+  is('https://example.org/path?b=1&a=%7e', // should keep the original URL as is
+     URLCleaner.cleanUrl('https://example.org/path?b=1&a=%7e', RULES));
+  is('about:blank',
+     URLCleaner.cleanUrl('about:blank', RULES));
+  is('not a URL',
+     URLCleaner.cleanUrl('not a URL', RULES));
+}
+
+export function testDefaultRules() {
+  const rules = URLCleaner.parseRules(URLCleaner.DEFAULT_RULES);
+  is('https://www.youtube.com/watch?v=abc',
+     URLCleaner.cleanUrl('https://www.youtube.com/watch?v=abc&si=xyz&utm_source=share', rules));
+}
@@ -0,0 +1,100 @@
+/*
+ license: The MIT License, Copyright (c) 2026 YUKI "Piro" Hiroshi
+*/
+'use strict';
+
+import * as WorkerPool from '../common/worker-pool.js';
+
+import { assert } from 'tiny-esm-test-runner';
+const { is, ok } = assert;
+
+const wait = delay => new Promise(resolve => setTimeout(resolve, delay));
+
+export async function testMapKeepsOrder() {
+  const results = await WorkerPool.map([30, 10, 20, 0], async (delay, index) => {
+    await wait(delay);
+    return `${index}:${delay}`;
+  }, { concurrency: 2 });
+  is(['0:30', '1:10', '2:20', '3:0'], results);
+}
+
+export async function testMapEmpty() {
+  is([], await WorkerPool.map([], async item => item));
+}
+
+export async function testMapLimitsConcurrency() {
+  let running = 0;
+  let maxRunning = 0;
+  await WorkerPool.map(Array.from({ length: 10 }, (_, index) => index), async () => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await wait(5);
+    running--;
+  }, { concurrency: 3 });
+  is(3, maxRunning);
+}
+
+export async function testMapReportsProgress() {
+  const progress = [];
+  await WorkerPool.map([1, 2, 3], async item => item, {
+    concurrency: 1,
+    onProgress:  (done, total) => progress.push(`${done}/${total}`),
+  });
+  is(['1/3', '2/3', '3/3'], progress);
+}
+
+export async function testMapCancel() {
+  const controller = new AbortController();
+  const started = [];
+  const promise = WorkerPool.map([1, 2, 3, 4], async item => {
+    started.push(item);
+    if (item == 2)
+      controller.abort();
+    await new Promise(() => {}); // never resolved
+  }, { concurrency: 2, signal: controller.signal });
+  let error;
+  await promise.catch(caught => error = caught);
+  ok(error instanceof WorkerPool.CancelledError);
+  await wait(10);
+  is([1, 2], started);
+}
+
+export async function testMapAlreadyCancelled() {
+  const controller = new AbortController();
+  controller.abort();
+  let error;
+  await WorkerPool.map([1], async item => item, { signal: controller.signal }).catch(caught => error = caught);
+  ok(error instanceof WorkerPool.CancelledError);
+}
+
+export async function testMapRemovesAbortListener() {
+  const controller = new AbortController();
+  const listeners = new Set();
+  const signal = {
+    get aborted() { return controller.signal.aborted; },
+    addEventListener(type, listener) { listeners.add(listener); },
+    removeEventListener(type, listener) { listeners.delete(listener); },
+  };
+  await WorkerPool.map([1, 2], async item => item, { signal });
+  is(0, listeners.size);
+}
+
+export async function testMapStopsAfterFailure() {
+  const started = [];
+  let error;
+  await WorkerPool.map([1, 2, 3], async item => {
+    started.push(item);
+    if (item == 1)
+      throw new Error('failed');
+  }, { concurrency: 1 }).catch(caught => error = caught);
+  is('failed', error.message);
+  is([1], started);
+}
+
+export async function testWithTimeout() {
+  is('done', await WorkerPool.withTimeout(wait(5).then(() => 'done'), 100));
+  is('done', await WorkerPool.withTimeout(wait(5).then(() => 'done'), 0));
+  let error;
+  await WorkerPool.withTimeout(wait(100), 5).catch(caught => error = caught);
+  ok(error instanceof WorkerPool.TimeoutError);
+}